@@ -13,22 +13,56 @@ class PoseAI {
         this.transactionId = null;
         this.qrCodeInstance = null;
         
-        // Pushup Calculator Integration
+        // Exercise engine (definitions live in exercises.js)
         this.currentExercise = 'pushups';
+        this.exerciseEngine = new ExerciseEngine(exerciseRegistry.get(this.currentExercise));
+        this.lastAnalysis = null;
         this.reps = 0;
-        this.elbowAngle = 999;
-        this.backAngle = 0;
-        this.upPosition = false;
-        this.downPosition = false;
-        this.highlightBack = false;
-        this.backWarningGiven = false;
+        this.highlightedEdges = new Set();
         this.p5Instance = null;
         this.video = null;
         this.cameraStream = null;
+        this.poseSource = null; // camera, video file or recorded replay, see pose-sources.js
+        this.videoReview = null; // { source, frames } kept after a video file is analysed, for seeking
         this.workoutTimer = null;
         this.workoutSeconds = 0;
+        this.paused = false;
         this.voiceFeedbackEnabled = true;
         
+        // Hands-free start/pause/end from held poses (gestures.js)
+        this.gestures = new GestureDetector({ enabled: localStorage.getItem('poseai_gestures') !== 'off' });
+        this.gestureBanner = null; // { text, until } confirmation drawn over the video
+        this.program = null; // ProgramRunner while an interval/circuit program runs (workout-programs.js)
+        
+        // Spoken coaching with a priority queue and per-cue cooldowns (voice-coach.js)
+        this.voiceCoach = new VoiceCoach(this.loadVoiceSettings());
+        this.poseSampleRate = 10; // recorded pose frames per second
+        
+        // Keypoint smoothing and confidence gating applied to every frame (pose-filter.js);
+        // each tracked person gets their own PoseFilter built from these options
+        this.poseFilterOptions = {};
+        
+        // Multi-person tracking (pose-tracker.js): everyone in frame gets their own exercise
+        // engine, filter and session record; the focused participant drives the main readouts
+        this.tracker = new PoseTracker();
+        this.participants = new Map(); // track id -> participant
+        this.focusedParticipant = null;
+        
+        // Pose model choice with FPS-based fallback, inference in a worker (pose-models.js)
+        this.poseModels = new WorkerPoseModelManager({
+            modelId: localStorage.getItem('poseai_pose_model'),
+            onChange: change => this.handlePoseModelChange(change)
+        });
+        
+        // Live workouts are saved through an offline-safe queue (workout-sync.js)
+        this.workoutSync = new WorkoutSyncQueue(
+            workout => this.apiRequest('/workouts', {
+                method: 'POST',
+                body: JSON.stringify(workout)
+            }),
+            { currentUserId: () => (this.token && this.user ? this.user.id || this.user._id : null) }
+        );
+        
         // Skeleton edges for visualization
         this.edges = {
             '5,7': 'm',
@@ -60,6 +94,9 @@ class PoseAI {
             await this.loadUserProfile();
         }
         
+        // Retry any workouts saved while offline
+        this.workoutSync.start();
+        
         // Check subscription status
         this.checkSubscriptionOnLoad();
         
@@ -88,7 +125,9 @@ class PoseAI {
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || 'API request failed');
+                const error = new Error(data.error || 'API request failed');
+                error.status = response.status;
+                throw error;
             }
 
             return data;
@@ -111,6 +150,7 @@ class PoseAI {
             localStorage.setItem('poseai_token', this.token);
 
             this.showNotification('Registration successful!', 'success');
+            this.workoutSync.flush();
             this.redirectToDashboard();
             
             return data;
@@ -132,6 +172,7 @@ class PoseAI {
             localStorage.setItem('poseai_token', this.token);
 
             this.showNotification('Login successful!', 'success');
+            this.workoutSync.flush();
             this.redirectToDashboard();
             
             return data;
@@ -202,6 +243,18 @@ class PoseAI {
         }
     }
 
+    // One page of recorded pose frames; pass pagination.nextFrom back as from for the next page
+    async getWorkoutPoses(workoutId, range = {}) {
+        try {
+            const params = new URLSearchParams(range);
+            const data = await this.apiRequest(`/workouts/${workoutId}/poses?${params}`);
+            return data;
+        } catch (error) {
+            console.error('Failed to load workout poses:', error);
+            throw error;
+        }
+    }
+
     async getWorkoutStats(period = 'week') {
         try {
             const stats = await this.apiRequest(`/workouts/stats?period=${period}`);
@@ -227,7 +280,7 @@ class PoseAI {
         try {
             const analysis = await this.apiRequest('/ai/analyze', {
                 method: 'POST',
-                body: JSON.stringify({ poses, exerciseType })
+                body: JSON.stringify({ encodedPoses: PoseEncoder.encode(poses), exerciseType })
             });
 
             return analysis;
@@ -281,17 +334,11 @@ class PoseAI {
     // Pushup Calculator Integration Methods
     async initializePoseDetection() {
         try {
-            const detectorConfig = {
-                modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER,
-                enableSmoothing: true,
-            };
-            
-            this.poseDetector = await poseDetection.createDetector(
-                poseDetection.SupportedModels.MoveNet,
-                detectorConfig
-            );
+            // The manager wraps whichever model is active, so sources keep working across fallbacks
+            await this.poseModels.load();
+            this.poseDetector = this.poseModels;
             
-            this.updateAIFeedback('AI model loaded successfully!');
+            this.updateAIFeedback(`${this.poseModels.modelName} loaded successfully!`);
         } catch (error) {
             console.error('Error loading pose detection:', error);
             this.updateAIFeedback('AI model loading failed. Demo mode active.');
@@ -300,6 +347,16 @@ class PoseAI {
 
     async startCamera() {
         try {
+            // The camera's session would replace an analysed video that hasn't been saved yet
+            if (this.workoutSession && this.workoutSession.source === 'video') {
+                this.stopPoseSource();
+                if (confirm('Save the analyzed video workout before starting the camera? Cancel discards it.')) {
+                    await this.finishWorkoutSession();
+                } else {
+                    this.discardWorkoutSession();
+                }
+            }
+
             // Initialize p5.js if not already done
             if (!this.p5Instance) {
                 await this.initializeP5();
@@ -311,10 +368,11 @@ class PoseAI {
             });
             
             this.cameraStream = stream;
+            this.closeVideoReview();
             
             // Start pose detection
             if (this.poseDetector) {
-                this.detectPose();
+                this.startPoseSource(new CameraPoseSource(this.poseDetector, this.video.elt));
             }
             
             // Start workout session
@@ -333,19 +391,26 @@ class PoseAI {
     }
 
     stopCamera() {
+        this.stopPoseSource();
+        this.voiceCoach.clear();
+
         if (this.cameraStream) {
             this.cameraStream.getTracks().forEach(track => track.stop());
             this.cameraStream = null;
         }
         
-        if (this.workoutTimer) {
-            clearInterval(this.workoutTimer);
-            this.workoutTimer = null;
-        }
+        this.stopWorkoutTimer();
+        this.paused = false;
+        this.gestures.reset();
 
         // Update UI
         document.getElementById('start-camera-btn').disabled = false;
         document.getElementById('stop-camera-btn').disabled = true;
+        if (this.videoReview) {
+            document.getElementById('video-seek').disabled = false;
+        }
+
+        this.finishWorkoutSession();
     }
 
     async initializeP5() {
@@ -376,11 +441,14 @@ class PoseAI {
                     p.translate(p.width, 0);
                     p.scale(-1, 1);
                     
-                    if (video && video.loadedmetadata) {
+                    const videoFile = this.videoReview && this.videoReview.source.videoElement;
+                    if (videoFile) {
+                        p.drawingContext.drawImage(videoFile, 0, 0, videoFile.width, videoFile.height);
+                    } else if (video && video.loadedmetadata && !this.isReplaying()) {
                         p.image(video, 0, 0, video.width, video.height);
                     }
 
-                    // Draw keypoints and skeleton
+                    // Draw keypoints and skeleton for everyone tracked
                     this.drawKeypoints(p, poses);
                     this.drawSkeleton(p, poses);
 
@@ -392,12 +460,20 @@ class PoseAI {
                     p.scale(-1, 1);
                     p.textSize(40);
 
-                    if (poses && poses.length > 0) {
-                        let exerciseString = `${this.currentExercise.charAt(0).toUpperCase() + this.currentExercise.slice(1)} completed: ${this.reps}`;
+                    if (this.isResting()) {
+                        const remaining = this.program.remaining(this.exerciseEngine, this.workoutSeconds);
+                        p.text(`Rest: ${this.formatDuration(Math.ceil(remaining))}`, 100, 90);
+                    } else if (poses && poses.length > 0) {
+                        const definition = this.exerciseEngine.definition;
+                        let exerciseString = definition.mode === 'hold'
+                            ? `${definition.name} hold: ${this.formatDuration(Math.floor(this.exerciseEngine.hold.current))}`
+                            : `${definition.name} completed: ${this.reps}`;
                         p.text(exerciseString, 100, 90);
+                        this.drawParticipantLabels(p, poses);
                     } else {
                         p.text('Loading, please wait...', 100, 90);
                     }
+                    this.drawGestureStatus(p);
                 };
 
                 // Store poses for external access
@@ -410,227 +486,990 @@ class PoseAI {
         });
     }
 
+    async selectPoseModel(modelId) {
+        try {
+            localStorage.setItem('poseai_pose_model', modelId);
+            if (!this.poseDetector) {
+                // Not loaded yet; initializePoseDetection() picks it up
+                this.poseModels = new WorkerPoseModelManager({
+                    modelId,
+                    onChange: change => this.handlePoseModelChange(change)
+                });
+                return;
+            }
+
+            this.updateAIFeedback(`Loading ${POSE_MODELS[modelId].name}...`);
+            await this.poseModels.select(modelId);
+            this.updateAIFeedback(`${this.poseModels.modelName} loaded successfully!`);
+        } catch (error) {
+            console.error('Error switching pose model:', error);
+            this.updateAIFeedback('Could not load that model. Keeping the current one.');
+        }
+    }
+
+    handlePoseModelChange(change) {
+        const modelSelect = document.getElementById('pose-model-select');
+        if (modelSelect) {
+            modelSelect.value = change.to;
+        }
+
+        if (change.to !== change.from) {
+            this.updateAIFeedback(`Low frame rate (${change.fps} FPS) - switched to ${POSE_MODELS[change.to].name}.`);
+        } else {
+            this.updateAIFeedback(`Low frame rate (${change.fps} FPS) - lowered camera resolution to ${Math.round(change.inputScale * 100)}%.`);
+        }
+    }
+
+    updateFpsDisplay() {
+        const fpsValue = document.getElementById('fps-value');
+        const fps = this.poseModels.fps;
+        if (fpsValue) {
+            fpsValue.textContent = fps !== null ? `${Math.round(fps)} FPS` : '--';
+        }
+    }
+
+    startPoseSource(source) {
+        this.stopPoseSource();
+        this.clearParticipants();
+        this.poseSource = source;
+        this.detectPose();
+    }
+
+    stopPoseSource() {
+        if (this.poseSource) {
+            this.poseSource.stop();
+            this.poseSource = null;
+        }
+    }
+
+    isReplaying() {
+        return !!this.poseSource && !this.poseSource.isLive;
+    }
+
+    // Drive the exercise engine from a recorded session instead of the camera.
+    // Replays are not saved as new workouts.
+    async startReplay(recording, options = {}) {
+        try {
+            if (!this.p5Instance) {
+                await this.initializeP5();
+            }
+
+            const source = recording instanceof RecordedPoseSource
+                ? recording
+                : new RecordedPoseSource(recording, options);
+
+            this.stopCamera();
+            this.closeVideoReview();
+            this.resetWorkout();
+            this.startPoseSource(source);
+
+            document.getElementById('stop-camera-btn').disabled = false;
+            this.updateAIFeedback(`Replaying ${source.length} recorded frames...`);
+        } catch (error) {
+            console.error('Error starting replay:', error);
+            this.updateAIFeedback(`Could not replay recording: ${error.message}`);
+        }
+    }
+
+    async replayFile(file, options = {}) {
+        try {
+            await this.startReplay(await RecordedPoseSource.fromFile(file, options));
+        } catch (error) {
+            console.error('Error reading recording:', error);
+            this.updateAIFeedback(`Could not read recording: ${error.message}`);
+        }
+    }
+
+    async replayWorkout(workoutId, options = {}) {
+        try {
+            await this.startReplay(await RecordedPoseSource.fromWorkout(this, workoutId, options));
+        } catch (error) {
+            console.error('Error loading workout recording:', error);
+            this.updateAIFeedback(`Could not load workout recording: ${error.message}`);
+        }
+    }
+
+    // Analyse a filmed set through the same detector, rep counter and overlay as the camera.
+    // The result stays in the workout session until it is saved.
+    async startVideoAnalysis(file) {
+        try {
+            if (!this.p5Instance) {
+                await this.initializeP5();
+            }
+            if (!this.poseDetector) {
+                throw new Error('Pose detection model is not loaded');
+            }
+
+            this.stopCamera();
+            this.closeVideoReview();
+
+            const source = await VideoFilePoseSource.fromFile(this.poseDetector, file);
+            this.resetWorkout();
+            this.startWorkoutSession({ source: 'video', startTime: source.baseTime });
+            this.videoReview = { source, frames: [] };
+            this.renderRepTimeline();
+            document.getElementById('video-review').classList.remove('hidden');
+            document.getElementById('video-seek').disabled = true;
+            document.getElementById('video-seek').max = source.duration;
+
+            this.startPoseSource(source);
+            document.getElementById('stop-camera-btn').disabled = false;
+            this.updateAIFeedback(`Analyzing ${file.name}...`);
+        } catch (error) {
+            console.error('Error loading video:', error);
+            this.updateAIFeedback(`Could not analyze video: ${error.message}`);
+        }
+    }
+
+    finishVideoAnalysis() {
+        this.poseSource = null;
+        document.getElementById('stop-camera-btn').disabled = true;
+        document.getElementById('video-seek').disabled = false;
+        this.renderRepTimeline();
+
+        const definition = this.exerciseEngine.definition;
+        const summary = definition.mode === 'hold'
+            ? `longest hold ${this.formatDuration(Math.floor(this.exerciseEngine.hold.longest))}`
+            : `${this.reps} reps counted`;
+        this.updateAIFeedback(`Video analyzed: ${summary}. Seek through the set or press Save to keep it.`);
+    }
+
+    // Show the analysed frame nearest to a video time
+    async seekVideo(seconds) {
+        const review = this.videoReview;
+        if (!review || this.poseSource === review.source) return;
+
+        await review.source.seekTo(seconds);
+        document.getElementById('video-seek').value = seconds;
+
+        const frame = review.frames.reduce((nearest, candidate) =>
+            !nearest || Math.abs(candidate.videoTime - seconds) < Math.abs(nearest.videoTime - seconds) ? candidate : nearest,
+        null);
+        if (frame && this.p5Instance && this.p5Instance.updatePoses) {
+            this.p5Instance.updatePoses(frame.poses);
+        }
+    }
+
+    // One entry per rep (partial reps included) that jumps to the rep's start in the video
+    renderRepTimeline() {
+        const timeline = document.getElementById('rep-timeline');
+        if (!timeline || !this.videoReview) return;
+
+        const baseTime = this.videoReview.source.baseTime;
+        timeline.innerHTML = '';
+
+        this.exerciseEngine.repHistory.forEach(rep => {
+            const start = (rep.startTime - baseTime) / 1000;
+            const button = document.createElement('button');
+            button.className = `rep-marker ${rep.valid ? 'rep-valid' : 'rep-partial'}`;
+            button.textContent = `${rep.valid ? 'Rep' : 'Partial'} ${rep.number} · ${start.toFixed(1)}s`;
+            button.title = rep.issues.length > 0 ? rep.issues.join(', ') : 'Clean rep';
+            button.onclick = () => this.seekVideo(start);
+            timeline.appendChild(button);
+        });
+    }
+
+    closeVideoReview() {
+        if (!this.videoReview) return;
+
+        this.videoReview.source.release();
+        this.videoReview = null;
+        const panel = document.getElementById('video-review');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+    }
+
+    finishReplay() {
+        this.poseSource = null;
+        document.getElementById('stop-camera-btn').disabled = true;
+
+        const definition = this.exerciseEngine.definition;
+        const summary = definition.mode === 'hold'
+            ? `longest hold ${this.formatDuration(Math.floor(this.exerciseEngine.hold.longest))}`
+            : `${this.reps} reps counted`;
+        this.updateAIFeedback(`Replay finished: ${summary}.`);
+    }
+
     async detectPose() {
-        if (!this.poseDetector || !this.cameraStream || !this.video) return;
+        const source = this.poseSource;
+        if (!source) return;
+        
+        const frame = await source.next();
+        if (source !== this.poseSource) return; // stopped or replaced while waiting
+        if (!frame) {
+            if (source instanceof VideoFilePoseSource) {
+                this.finishVideoAnalysis();
+            } else if (!source.isLive) {
+                this.finishReplay();
+            }
+            return;
+        }
+        // Nothing is counted while a set is paused or resting, or on camera between sets ended by gesture
+        const counting = !this.paused && !this.isResting() && (!!this.workoutSession || !source.isLive);
+        
+        // Angles, overlay and feedback all read filtered poses; the raw ones are what get recorded
+        const visible = this.tracker.update(frame.poses, frame.timestamp).map(({ id, pose }) => {
+            const participant = this.participants.get(id) || this.addParticipant(id);
+            participant.pose = participant.filter.filter(pose, frame.timestamp);
+            if (counting) {
+                participant.result = participant.engine.update(participant.pose, frame.timestamp);
+                this.recordParticipantResult(participant, pose, frame.timestamp);
+            }
+            return participant;
+        });
+        this.participants.forEach(participant => {
+            participant.visible = visible.includes(participant);
+        });
+        this.updateFocus(visible);
         
-        const poses = await this.poseDetector.estimatePoses(this.video.elt);
+        const focused = visible.includes(this.focusedParticipant) ? this.focusedParticipant : null;
+        const poses = visible.map(participant => ({
+            ...participant.pose,
+            id: participant.id,
+            label: participant.label,
+            focused: participant === focused
+        }));
+        
+        if (source.isLive) {
+            this.updateFpsDisplay();
+        }
+        
+        if (source instanceof VideoFilePoseSource) {
+            this.videoReview.frames.push({ videoTime: frame.videoTime, poses });
+            document.getElementById('video-seek').value = frame.videoTime;
+            if (this.workoutSession) {
+                this.setWorkoutTime(Math.floor(frame.videoTime));
+            }
+        }
         
         // Update p5.js poses
         if (this.p5Instance && this.p5Instance.updatePoses) {
             this.p5Instance.updatePoses(poses);
         }
         
-        if (poses.length > 0) {
-            // Store pose data for workout
-            if (this.workoutSession) {
-                this.workoutSession.poses.push({
-                    timestamp: Date.now(),
-                    keypoints: poses[0].keypoints
-                });
+        // Gestures come from the focused participant, on the live camera only
+        if (focused && source.isLive) {
+            const gesture = this.gestures.update(focused.pose, frame.timestamp);
+            if (gesture) {
+                this.handleGesture(gesture);
             }
-            
-            // Analyze pose and provide feedback
-            await this.analyzeAndProvideFeedback(poses[0]);
         }
         
+        if (focused && counting && focused.result) {
+            // Feedback follows the focused participant's exercise result
+            this.lastAnalysis = focused.result;
+            this.handleExerciseResult(this.lastAnalysis);
+            await this.analyzeAndProvideFeedback(focused.pose);
+            this.updateProgram();
+        }
+        this.renderParticipants();
+        
         // Continue detection
         requestAnimationFrame(() => this.detectPose());
     }
 
+    handleGesture(gesture) {
+        if (gesture === 'hands-up') {
+            if (!this.workoutSession) {
+                this.resetWorkout();
+                this.startWorkoutSession();
+                this.confirmGesture('Set started');
+            } else if (this.paused) {
+                this.resumeWorkout();
+                this.confirmGesture('Resumed');
+            } else {
+                this.pauseWorkout();
+                this.confirmGesture('Paused');
+            }
+        } else if (gesture === 'arms-crossed' && this.workoutSession) {
+            // The camera stays on so hands up can start the next set
+            this.stopWorkoutTimer();
+            this.paused = false;
+            this.finishWorkoutSession();
+            this.confirmGesture('Set complete');
+        }
+    }
+
+    confirmGesture(text) {
+        this.gestureBanner = { text, until: Date.now() + 2000 };
+        this.updateAIFeedback(`Gesture: ${text}`);
+        this.speak(text, { type: 'system' });
+    }
+
+    pauseWorkout() {
+        if (!this.workoutSession || this.paused) return;
+
+        this.paused = true;
+        this.stopWorkoutTimer();
+        this.voiceCoach.clear();
+    }
+
+    resumeWorkout() {
+        if (!this.workoutSession || !this.paused) return;
+
+        this.paused = false;
+        this.participants.forEach(participant => participant.engine.interrupt());
+        if (this.workoutSession.source === 'camera') {
+            this.startWorkoutTimer();
+        }
+    }
+
+    setGesturesEnabled(enabled) {
+        this.gestures.setEnabled(enabled);
+        localStorage.setItem('poseai_gestures', enabled ? 'on' : 'off');
+    }
+
+    // Hold progress while a gesture is building up, then the confirmation for two seconds.
+    // Drawn after the canvas is un-mirrored.
+    drawGestureStatus(p) {
+        const pending = this.gestures.pending;
+        let text = null;
+        if (this.gestureBanner && Date.now() < this.gestureBanner.until) {
+            text = this.gestureBanner.text;
+        } else if (pending && pending.progress > 0.2) {
+            text = `${pending.label}... ${Math.round(pending.progress * 100)}%`;
+        } else if (this.paused) {
+            text = 'Paused - raise both hands to resume';
+        }
+        if (!text) return;
+
+        p.textSize(28);
+        p.text(text, 100, p.height - 40);
+    }
+
+    handleExerciseResult(result) {
+        this.highlightedEdges = this.exerciseEngine.highlightedEdges();
+        this.updateAsymmetryDisplay(result);
+        const script = this.exerciseEngine.definition.coaching;
+
+        if (result.violations.length > 0) {
+            const rule = result.violations[0];
+            this.updateFormFeedback(rule.message, 'warning');
+            // Repeats while the problem persists, at most once per cooldown
+            this.speak((script.formRules && script.formRules[rule.id]) || rule.message, { type: 'warning', key: rule.id });
+        } else if (this.exerciseEngine.definition.formRules.length > 0) {
+            this.updateFormFeedback('Good posture!', 'good');
+        }
+
+        if (result.hold) {
+            this.handleHoldResult(result);
+        }
+
+        if (result.rep && this.videoReview) {
+            this.renderRepTimeline();
+        }
+
+        if (result.partialRep) {
+            const message = this.exerciseEngine.partialMessage(result.rep);
+            this.updateAIFeedback(`Rep not counted. ${message}`);
+            this.speak(message, { type: 'partial' });
+        } else if (result.repCompleted) {
+            this.reps = result.reps;
+            document.getElementById('rep-count').textContent = this.reps;
+            this.speakRepCount(script);
+            this.updateAIFeedback(`Great form! Rep ${this.reps} completed.`);
+        } else if (result.cue) {
+            this.speak(result.cue, { type: 'cue' });
+        }
+    }
+
+    addParticipant(id) {
+        const participant = {
+            id,
+            label: `Person ${id}`,
+            engine: new ExerciseEngine(exerciseRegistry.get(this.currentExercise)),
+            filter: new PoseFilter(this.poseFilterOptions),
+            record: this.workoutSession ? this.createParticipantRecord() : null,
+            pose: null,
+            result: null,
+            visible: false
+        };
+        this.participants.set(id, participant);
+        return participant;
+    }
+
+    // What gets saved for one person at the end of the session
+    createParticipantRecord() {
+        return {
+            idempotencyKey: WorkoutSyncQueue.generateKey(),
+            reps: 0,
+            poseEncoder: new PoseEncoder({ sampleRate: this.poseSampleRate }),
+            repDetails: [],
+            holdMetrics: null,
+            cadence: 0,
+            asymmetry: {},
+            feedback: [],
+            formScores: [],
+            jointTotals: {}, // metric name -> { total, count } for averaged joint angles
+            blocks: [], // program block results, see endProgramBlock
+            blockStart: { formScores: 0 },
+            repsBefore: 0 // reps from earlier program blocks
+        };
+    }
+
+    clearParticipants() {
+        this.tracker.reset();
+        this.participants.clear();
+        this.focusedParticipant = null;
+        this.exerciseEngine = new ExerciseEngine(exerciseRegistry.get(this.currentExercise));
+        this.reps = 0;
+        this.renderParticipants();
+    }
+
+    // Smoothing settings for everyone tracked (see PoseFilter.configure)
+    configurePoseFilter(options) {
+        this.poseFilterOptions = { ...this.poseFilterOptions, ...options };
+        this.participants.forEach(participant => participant.filter.configure(options));
+    }
+
+    // A locked participant keeps the focus; otherwise it stays on whoever had it while they are
+    // in frame and moves to the first visible person when they leave
+    updateFocus(visible) {
+        const locked = this.tracker.lockedId !== null ? this.participants.get(this.tracker.lockedId) : null;
+        const focus = locked || (visible.includes(this.focusedParticipant) ? this.focusedParticipant : visible[0]);
+
+        if (focus && focus !== this.focusedParticipant) {
+            this.setFocus(focus);
+        }
+    }
+
+    setFocus(participant) {
+        const engine = participant.engine;
+        this.focusedParticipant = participant;
+        this.exerciseEngine = engine;
+        this.lastAnalysis = participant.result;
+        this.reps = engine.reps;
+        this.highlightedEdges = engine.highlightedEdges();
+
+        document.getElementById('rep-count').textContent = engine.definition.mode === 'hold'
+            ? this.formatDuration(Math.floor(engine.hold.current))
+            : this.reps;
+        if (this.videoReview) {
+            this.renderRepTimeline();
+        }
+    }
+
+    // Only this participant is followed; everyone else is ignored until unlocked
+    lockParticipant(id) {
+        const participant = this.participants.get(id);
+        if (!participant) return;
+
+        this.tracker.lock(id);
+        this.setFocus(participant);
+        this.renderParticipants();
+        this.updateAIFeedback(`Tracking locked to ${participant.label}.`);
+    }
+
+    unlockParticipant() {
+        this.tracker.unlock();
+        this.renderParticipants();
+        this.updateAIFeedback('Tracking everyone in frame.');
+    }
+
+    // Session bookkeeping for one participant, whether or not they have the focus
+    recordParticipantResult(participant, rawPose, timestamp) {
+        const record = participant.record;
+        if (!record) return;
+
+        const engine = participant.engine;
+        const result = participant.result;
+
+        // Store pose data for workout (sampled and delta-encoded, see pose-codec.js)
+        record.poseEncoder.push(rawPose.keypoints, timestamp);
+        record.asymmetry = engine.asymmetrySummary();
+        record.formScores.push(this.calculateFormScore(participant.pose, result));
+
+        if (result.hold) {
+            record.holdMetrics = engine.holdSummary();
+        }
+        if (result.rep) {
+            record.repDetails.push(this.program ? { ...result.rep, block: this.program.index } : result.rep);
+        }
+        if (result.repCompleted) {
+            record.reps = record.repsBefore + result.reps;
+            record.cadence = result.cadence;
+        }
+
+        // Running totals behind the formQuality fields of the saved workout
+        const tracked = ['elbow', engine.definition.straightnessJoint].filter(Boolean);
+        tracked.forEach(name => {
+            if (result.metrics[name] === undefined) return;
+            const totals = record.jointTotals[name] || { total: 0, count: 0 };
+            totals.total += result.metrics[name];
+            totals.count++;
+            record.jointTotals[name] = totals;
+        });
+
+        const messages = result.violations.map(rule => rule.message);
+        if (result.partialRep) {
+            messages.push(engine.partialMessage(result.rep));
+        }
+        messages.forEach(message => {
+            if (!record.feedback.includes(message)) {
+                record.feedback.push(message);
+            }
+        });
+    }
+
+    averageJointAngle(record, name) {
+        const totals = record.jointTotals[name];
+        return totals && totals.count > 0 ? totals.total / totals.count : null;
+    }
+
+    // Per-person reps and form feedback, shown once more than one person has been tracked
+    renderParticipants() {
+        const panel = document.getElementById('participants');
+        const list = document.getElementById('participants-list');
+        if (!panel || !list) return;
+
+        const lockedId = this.tracker.lockedId;
+        panel.classList.toggle('hidden', this.participants.size < 2 && lockedId === null);
+
+        // Rows are updated in place so the lock buttons stay clickable between frames
+        Array.from(list.children).forEach(row => {
+            if (!this.participants.has(Number(row.dataset.id))) {
+                row.remove();
+            }
+        });
+
+        this.participants.forEach(participant => {
+            let row = list.querySelector(`[data-id="${participant.id}"]`);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'participant-row';
+                row.dataset.id = participant.id;
+                row.innerHTML = `
+                    <span class="participant-name"></span>
+                    <span class="participant-reps"></span>
+                    <span class="participant-feedback"></span>
+                    <button class="participant-lock"></button>
+                `;
+                row.querySelector('.participant-lock').onclick = () => {
+                    if (this.tracker.lockedId === participant.id) {
+                        this.unlockParticipant();
+                    } else {
+                        this.lockParticipant(participant.id);
+                    }
+                };
+                list.appendChild(row);
+            }
+
+            const engine = participant.engine;
+            const result = participant.result;
+            let feedback = 'Good form';
+            if (!participant.visible) {
+                feedback = 'Out of frame';
+            } else if (result && result.violations.length > 0) {
+                feedback = result.violations[0].message;
+            }
+
+            row.classList.toggle('participant-focused', participant === this.focusedParticipant);
+            row.classList.toggle('participant-away', !participant.visible);
+            row.querySelector('.participant-name').textContent = participant.label;
+            row.querySelector('.participant-reps').textContent = engine.definition.mode === 'hold'
+                ? this.formatDuration(Math.floor(engine.hold.longest))
+                : `${engine.reps} reps`;
+            row.querySelector('.participant-feedback').textContent = feedback;
+            row.querySelector('.participant-lock').textContent = lockedId === participant.id ? 'Unlock' : 'Lock';
+        });
+    }
+
+    // Workout document for POST /api/workouts built from one participant's part of the session.
+    // Group sessions save one workout per person, linked by groupSessionId.
+    buildWorkoutPayload(session, participant, groupSize = 1) {
+        const record = participant.record;
+        const engine = participant.engine;
+        const definition = engine.definition;
+        const scores = record.formScores;
+        const avgFormScore = scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+        const repSummary = ExerciseEngine.summarizeReps(record.repDetails);
+        const targetRepsInput = document.getElementById('target-reps');
+        let alerts = Object.values(engine.alertCounts).reduce((sum, count) => sum + count, 0);
+        let targetReps = targetRepsInput ? parseInt(targetRepsInput.value) || 0 : 0;
+        let calories = this.estimateCalories(definition, {
+            duration: this.workoutSeconds,
+            reps: record.reps,
+            cadence: record.cadence,
+            holdSeconds: record.holdMetrics ? record.holdMetrics.totalHold : 0
+        });
+
+        // Programs add up their blocks, each measured against its own exercise
+        if (session.program) {
+            alerts = record.blocks.reduce((sum, block) => sum + block.postureAlerts, 0);
+            targetReps = record.blocks.reduce((sum, block) => sum + block.targetReps, 0);
+            calories = record.blocks.reduce((sum, block) => sum + block.calories, 0);
+        }
+
+        const elbowAngle = this.averageJointAngle(record, 'elbow');
+        const straightAngle = definition.straightnessJoint ? this.averageJointAngle(record, definition.straightnessJoint) : null;
+
+        const payload = {
+            idempotencyKey: record.idempotencyKey,
+            exerciseType: session.program ? 'program' : session.exerciseType,
+            program: session.program || undefined,
+            blocks: session.program ? record.blocks : undefined,
+            source: session.source,
+            duration: this.workoutSeconds,
+            reps: record.reps,
+            calories,
+            avgFormScore: Math.round(avgFormScore),
+            feedback: record.feedback,
+            repDetails: record.repDetails,
+            holdMetrics: record.holdMetrics,
+            encodedPoses: record.poseEncoder.frameCount > 0 ? record.poseEncoder.finish() : undefined,
+            metadata: this.poseModels.metadata(),
+            completed: true,
+            formQuality: {
+                // 10 degrees away from a straight line costs 20 points
+                backStraightness: straightAngle !== null ? Math.round(Math.max(0, 100 - (180 - straightAngle) * 2)) : 0,
+                elbowAngle: elbowAngle !== null ? Math.round(elbowAngle) : 0,
+                postureAlerts: alerts,
+                asymmetry: record.asymmetry,
+                voiceFeedbackEnabled: this.voiceFeedbackEnabled
+            },
+            exerciseMetrics: {
+                targetReps,
+                maxConsecutiveReps: repSummary.maxConsecutiveReps,
+                averageRepDuration: repSummary.averageRepDuration,
+                cadence: Math.round(record.cadence),
+                formTrend: ExerciseEngine.formTrend(scores)
+            }
+        };
+
+        if (groupSize > 1) {
+            payload.participant = { trackId: participant.id, label: participant.label };
+            payload.groupSessionId = session.groupSessionId;
+        }
+
+        return payload;
+    }
+
+    // Saving ends the set: stopping the camera hands the session to finishWorkoutSession()
+    saveLiveWorkout() {
+        if (!this.workoutSession) {
+            this.showNotification('Start a workout before saving', 'warning');
+            return;
+        }
+
+        this.stopCamera();
+    }
+
+    discardWorkoutSession() {
+        this.workoutSession = null;
+        this.participants.forEach(participant => {
+            participant.record = null;
+        });
+    }
+
+    hasWorkoutContent(record) {
+        return record.reps > 0 ||
+            record.repDetails.length > 0 ||
+            (record.holdMetrics && record.holdMetrics.totalHold > 0);
+    }
+
+    async finishWorkoutSession() {
+        const session = this.workoutSession;
+        if (!session) return;
+
+        // A program stopped early keeps the results of the block it was in
+        if (this.program) {
+            this.endProgramBlock(false);
+            this.program = null;
+            this.updateProgramStatus();
+        }
+        this.workoutSession = null;
+
+        // One workout for everyone who did something; people who only walked through are skipped
+        const finished = Array.from(this.participants.values())
+            .filter(participant => participant.record && this.hasWorkoutContent(participant.record));
+        const payloads = finished.map(participant => this.buildWorkoutPayload(session, participant, finished.length));
+        this.participants.forEach(participant => {
+            participant.record = null;
+        });
+
+        if (payloads.length === 0) return;
+
+        try {
+            let saved = true;
+            for (const payload of payloads) {
+                saved = await this.workoutSync.submit(payload) && saved;
+            }
+            if (saved) {
+                this.showNotification(payloads.length > 1 ? `${payloads.length} workouts saved successfully!` : 'Workout saved successfully!', 'success');
+            } else if (!this.workoutSync.currentUserId()) {
+                this.showNotification('Workout not saved - log in to keep workouts in your profile', 'info');
+            } else {
+                this.showNotification('Offline - workout will sync when the connection is back', 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to save workout:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Left/right difference for the exercise's primary joint, when both sides are visible
+    updateAsymmetryDisplay(result) {
+        const asymmetryValue = document.getElementById('asymmetry-value');
+        const [primaryJoint] = Object.keys(this.exerciseEngine.definition.joints);
+
+        if (!asymmetryValue) return;
+
+        if (primaryJoint && result.asymmetry[primaryJoint] !== undefined) {
+            asymmetryValue.textContent = `${Math.round(result.asymmetry[primaryJoint])}° (${primaryJoint})`;
+        } else {
+            asymmetryValue.textContent = '--';
+        }
+    }
+
+    handleHoldResult(result) {
+        const hold = result.hold;
+        const seconds = Math.floor(hold.current);
+        document.getElementById('rep-count').textContent = this.formatDuration(seconds);
+
+        const milestones = this.exerciseEngine.definition.coaching.milestones || {};
+        if (hold.active && milestones[seconds]) {
+            this.speak(milestones[seconds], { type: 'encouragement', key: `hold-${seconds}` });
+        }
+
+        if (hold.longest > 0) {
+            result.feedback.push(`Longest hold: ${this.formatDuration(Math.floor(hold.longest))}`);
+        }
+    }
+
     drawKeypoints(p, poses) {
-        let count = 0;
-        if (poses && poses.length > 0) {
-            for (let kp of poses[0].keypoints) {
+        if (!poses || poses.length === 0) return;
+
+        // Joints the active exercise reads are drawn larger so users can see what is tracked
+        const tracked = new Set();
+        Object.values(this.exerciseEngine.definition.joints).forEach(indices => {
+            indices.forEach(index => {
+                tracked.add(index);
+                tracked.add(PoseMath.mirror(index));
+            });
+        });
+
+        // Everyone but the focused participant is drawn dimmed
+        poses.forEach(pose => {
+            pose.keypoints.forEach((kp, index) => {
                 const { x, y, score } = kp;
                 if (score > 0.3) {
-                    count = count + 1;
-                    p.fill(255);
+                    p.fill(pose.focused === false ? 160 : 255);
                     p.stroke(0);
                     p.strokeWeight(4);
-                    p.circle(x, y, 16);
+                    p.circle(x, y, tracked.has(index) ? 20 : 16);
                 }
-            }
-            
-            if (count == 17) {
-                // Update angles for pushup detection
-                this.updateArmAngle(poses[0]);
-                this.updateBackAngle(poses[0]);
-                this.checkPushupPositions();
-            }
-        }
+            });
+        });
     }
 
     drawSkeleton(p, poses) {
         const confidence_threshold = 0.5;
 
-        if (poses && poses.length > 0) {
-            for (const [key, value] of Object.entries(this.edges)) {
+        if (!poses) return;
+
+        poses.forEach(pose => {
+            for (const key of Object.keys(this.edges)) {
                 const p_idx = key.split(",");
                 const p1 = p_idx[0];
                 const p2 = p_idx[1];
 
-                const y1 = poses[0].keypoints[p1].y;
-                const x1 = poses[0].keypoints[p1].x;
-                const c1 = poses[0].keypoints[p1].score;
-                const y2 = poses[0].keypoints[p2].y;
-                const x2 = poses[0].keypoints[p2].x;
-                const c2 = poses[0].keypoints[p2].score;
+                const y1 = pose.keypoints[p1].y;
+                const x1 = pose.keypoints[p1].x;
+                const c1 = pose.keypoints[p1].score;
+                const y2 = pose.keypoints[p2].y;
+                const x2 = pose.keypoints[p2].x;
+                const c2 = pose.keypoints[p2].score;
 
                 if ((c1 > confidence_threshold) && (c2 > confidence_threshold)) {
-                    if ((this.highlightBack == true) && ((p_idx[1] == 11) || ((p_idx[0] == 6) && (p_idx[1] == 12)) || (p_idx[1] == 13) || (p_idx[0] == 12))) {
+                    // Form warnings are only highlighted on the focused participant
+                    if (pose.focused !== false && this.highlightedEdges.has(key)) {
                         p.strokeWeight(3);
                         p.stroke(255, 0, 0);
                         p.line(x1, y1, x2, y2);
                     } else {
                         p.strokeWeight(2);
-                        p.stroke('rgb(0, 255, 0)');
+                        p.stroke(pose.focused === false ? 'rgb(0, 140, 0)' : 'rgb(0, 255, 0)');
                         p.line(x1, y1, x2, y2);
                     }
                 }
             }
-        }
+        });
     }
 
-    updateArmAngle(pose) {
-        const leftWrist = pose.keypoints[9];
-        const leftShoulder = pose.keypoints[5];
-        const leftElbow = pose.keypoints[7];
+    // Name tags above each person once more than one is tracked. The canvas is no longer
+    // mirrored when this runs, so x is flipped by hand.
+    drawParticipantLabels(p, poses) {
+        if (!poses || poses.length < 2) return;
 
-        const angle = (
-            Math.atan2(
-                leftWrist.y - leftElbow.y,
-                leftWrist.x - leftElbow.x
-            ) - Math.atan2(
-                leftShoulder.y - leftElbow.y,
-                leftShoulder.x - leftElbow.x
-            )
-        ) * (180 / Math.PI);
+        p.textSize(18);
+        poses.forEach(pose => {
+            const visible = pose.keypoints.filter(kp => kp.score > 0.3);
+            if (visible.length === 0) return;
 
-        if (leftWrist.score > 0.3 && leftElbow.score > 0.3 && leftShoulder.score > 0.3) {
-            this.elbowAngle = angle;
-        }
+            const top = visible.reduce((highest, kp) => kp.y < highest.y ? kp : highest);
+            p.text(pose.label, p.width - top.x - 30, Math.max(20, top.y - 20));
+        });
     }
 
-    updateBackAngle(pose) {
-        const leftShoulder = pose.keypoints[5];
-        const leftHip = pose.keypoints[11];
-        const leftKnee = pose.keypoints[13];
-
-        const angle = (
-            Math.atan2(
-                leftKnee.y - leftHip.y,
-                leftKnee.x - leftHip.x
-            ) - Math.atan2(
-                leftShoulder.y - leftHip.y,
-                leftShoulder.x - leftHip.x
-            )
-        ) * (180 / Math.PI);
-        
-        const backAngle = angle % 180;
-        if (leftKnee.score > 0.3 && leftHip.score > 0.3 && leftShoulder.score > 0.3) {
-            this.backAngle = backAngle;
-        }
-
-        if ((this.backAngle < 20) || (this.backAngle > 160)) {
-            this.highlightBack = false;
-            this.updateFormFeedback('Good posture!', 'good');
-        } else {
-            this.highlightBack = true;
-            this.updateFormFeedback('Keep your back straight', 'warning');
-            if (this.backWarningGiven != true && this.voiceFeedbackEnabled) {
-                this.speak('Keep your back straight');
-                this.backWarningGiven = true;
-            }
-        }
+    // options.type picks the cue's priority and cooldown (see CUE_TYPES in voice-coach.js)
+    speak(text, options = {}) {
+        this.voiceCoach.say(text, options);
     }
 
-    checkPushupPositions() {
-        // Check if in up position
-        if (this.elbowAngle > 170 && this.elbowAngle < 200) {
-            if (this.downPosition == true) {
-                this.reps++;
-                document.getElementById('rep-count').textContent = this.reps;
-                if (this.voiceFeedbackEnabled) {
-                    this.speak(this.reps.toString());
-                }
-                this.updateAIFeedback(`Great form! Rep ${this.reps} completed.`);
-            }
-            this.upPosition = true;
-            this.downPosition = false;
-        }
+    // Counts are interruptible, so a fast set always hears the latest one. The exercise's
+    // script can word the count itself and add milestones.
+    speakRepCount(script) {
+        // A program block's own target wins over the target set in the panel
+        const targetRepsInput = document.getElementById('target-reps');
+        const target = this.program && this.program.current
+            ? this.program.current.reps
+            : targetRepsInput ? parseInt(targetRepsInput.value) || 0 : 0;
 
-        // Check if in down position
-        const elbowAboveNose = this.getCurrentPose() && this.getCurrentPose().keypoints[0].y > this.getCurrentPose().keypoints[7].y;
-        
-        if ((this.highlightBack == false) && elbowAboveNose && ((Math.abs(this.elbowAngle) > 70) && (Math.abs(this.elbowAngle) < 100))) {
-            if (this.upPosition == true && this.voiceFeedbackEnabled) {
-                this.speak('Up');
-            }
-            this.downPosition = true;
-            this.upPosition = false;
+        this.speak(script.rep ? script.rep(this.reps, target) : this.reps.toString(), { type: 'count' });
+
+        const milestone = script.milestones && script.milestones[this.reps];
+        if (milestone) {
+            this.speak(milestone, { type: 'encouragement', key: `rep-${this.reps}` });
+        } else if (target > 0 && this.reps === target) {
+            this.speak('Target reached. Great set', { type: 'encouragement' });
         }
     }
 
-    getCurrentPose() {
-        // Return the most recent pose from workout session
-        if (this.workoutSession && this.workoutSession.poses.length > 0) {
-            return { keypoints: this.workoutSession.poses[this.workoutSession.poses.length - 1].keypoints };
+    // Saved voice, language and speed; a corrupt or hand-edited value falls back to the defaults
+    loadVoiceSettings() {
+        try {
+            const settings = JSON.parse(localStorage.getItem('poseai_voice') || '{}');
+            return settings && typeof settings === 'object' ? settings : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable voice settings:', error);
+            return {};
         }
-        return null;
     }
 
-    speak(text) {
-        if ('speechSynthesis' in window && this.voiceFeedbackEnabled) {
-            const msg = new SpeechSynthesisUtterance(text);
-            window.speechSynthesis.speak(msg);
-        }
+    updateVoiceSettings(settings) {
+        this.voiceCoach.configure(settings);
+        const { voice, lang, rate } = this.voiceCoach.settings;
+        localStorage.setItem('poseai_voice', JSON.stringify({ voice, lang, rate }));
     }
 
-    startWorkoutSession() {
+    // Video sessions take their clock from the video instead of the timer
+    startWorkoutSession(options = {}) {
+        const source = options.source || 'camera';
+
+        // Per-person results live in participant records (see createParticipantRecord)
         this.workoutSession = {
-            startTime: Date.now(),
-            reps: 0,
-            calories: 0,
+            groupSessionId: WorkoutSyncQueue.generateKey(),
+            source,
+            startTime: options.startTime || Date.now(),
             exerciseType: this.currentExercise,
-            poses: [],
-            feedback: []
+            program: options.program ? { id: options.program.id, name: options.program.name } : null
         };
+        this.participants.forEach(participant => {
+            participant.record = this.createParticipantRecord();
+        });
         
-        this.workoutSeconds = 0;
+        this.poseModels.resetStats();
+        this.voiceCoach.reset();
+        this.speak(exerciseRegistry.get(this.currentExercise).coaching.start, { type: 'system' });
+        this.setWorkoutTime(0);
+        if (source === 'camera') {
+            this.startWorkoutTimer();
+        }
+    }
+
+    startWorkoutTimer() {
+        this.stopWorkoutTimer();
         this.workoutTimer = setInterval(() => {
-            this.workoutSeconds++;
-            const minutes = Math.floor(this.workoutSeconds / 60);
-            const seconds = this.workoutSeconds % 60;
-            document.getElementById('workout-time').textContent = 
-                `${minutes}:${seconds.toString().padStart(2, '0')}`;
-            
-            // Update calories (simplified)
-            const calories = Math.round(this.workoutSeconds * 0.1);
-            document.getElementById('calories').textContent = calories;
-            this.workoutSession.calories = calories;
+            this.setWorkoutTime(this.workoutSeconds + 1);
+            this.updateProgram();
         }, 1000);
     }
 
+    stopWorkoutTimer() {
+        if (this.workoutTimer) {
+            clearInterval(this.workoutTimer);
+            this.workoutTimer = null;
+        }
+    }
+
+    setWorkoutTime(totalSeconds) {
+        this.workoutSeconds = totalSeconds;
+        const minutes = Math.floor(this.workoutSeconds / 60);
+        const seconds = this.workoutSeconds % 60;
+        document.getElementById('workout-time').textContent = 
+            `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        
+        // Calories follow the focused participant's pace. In a program, finished blocks are
+        // already in their record and only the current block is estimated here.
+        const engine = this.exerciseEngine;
+        const record = this.focusedParticipant && this.focusedParticipant.record;
+        const resting = this.isResting();
+        const earlier = this.program && record ? record.blocks.reduce((sum, block) => sum + block.calories, 0) : 0;
+        document.getElementById('calories').textContent = earlier + this.estimateCalories(resting ? null : engine.definition, {
+            duration: this.program ? this.program.elapsed(this.workoutSeconds) : this.workoutSeconds,
+            reps: resting ? 0 : engine.reps,
+            cadence: engine.cadence(),
+            holdSeconds: engine.hold.total
+        });
+    }
+
+    // MET-based estimate (see CalorieMath) using the profile's weight and age when logged in.
+    // The server recomputes it from the saved workout.
+    estimateCalories(definition, activity) {
+        const profile = (this.user && this.user.profile) || {};
+        return CalorieMath.estimate(definition, activity, profile);
+    }
+
     resetWorkout() {
         this.reps = 0;
-        this.elbowAngle = 999;
-        this.backAngle = 0;
-        this.upPosition = false;
-        this.downPosition = false;
-        this.highlightBack = false;
-        this.backWarningGiven = false;
-        
-        document.getElementById('rep-count').textContent = '0';
+        this.exerciseEngine.reset();
+        this.participants.forEach(participant => {
+            participant.engine.reset();
+            participant.result = null;
+        });
+        this.lastAnalysis = null;
+        this.highlightedEdges = new Set();
+        this.voiceCoach.reset();
+        
+        document.getElementById('rep-count').textContent = this.exerciseEngine.definition.mode === 'hold' ? '0:00' : '0';
         document.getElementById('form-score').textContent = '--';
         document.getElementById('calories').textContent = '0';
         document.getElementById('workout-time').textContent = '0:00';
+        const asymmetryValue = document.getElementById('asymmetry-value');
+        if (asymmetryValue) {
+            asymmetryValue.textContent = '--';
+        }
         
         this.updateAIFeedback('Workout reset. Ready to start!');
         this.updateFormFeedback('', '');
     }
 
     selectExercise(exerciseType) {
+        if (this.program) {
+            this.showNotification('Stop the program to pick an exercise', 'warning');
+            return;
+        }
+        if (!this.setExercise(exerciseType)) return;
+        
+        // Reset workout for new exercise
+        this.resetWorkout();
+    }
+
+    // Switches everyone tracked to a new exercise definition; the session carries on
+    setExercise(exerciseType) {
+        const definition = exerciseRegistry.get(exerciseType);
+        if (!definition) {
+            console.error('Unknown exercise:', exerciseType);
+            return false;
+        }
+
         this.currentExercise = exerciseType;
+        this.participants.forEach(participant => {
+            participant.engine = new ExerciseEngine(definition);
+            participant.result = null;
+        });
+        this.exerciseEngine = this.focusedParticipant ? this.focusedParticipant.engine : new ExerciseEngine(definition);
         
         // Update UI
         document.querySelectorAll('.exercise-btn').forEach(btn => {
@@ -639,16 +1478,177 @@ class PoseAI {
         document.querySelector(`[data-exercise="${exerciseType}"]`).classList.add('active');
         
         // Update current exercise display
-        const exerciseNames = {
-            'pushups': 'Push-ups',
-            'squats': 'Squats',
-            'jumping-jacks': 'Jumping Jacks',
-            'plank': 'Plank'
-        };
-        document.getElementById('current-exercise').textContent = exerciseNames[exerciseType];
-        
-        // Reset workout for new exercise
-        this.resetWorkout();
+        document.getElementById('current-exercise').textContent = definition.name;
+        const repLabel = document.getElementById('rep-label');
+        if (repLabel) {
+            repLabel.textContent = definition.mode === 'hold' ? 'Hold' : 'Reps';
+        }
+        document.getElementById('rep-count').textContent = definition.mode === 'hold' ? '0:00' : '0';
+        this.reps = 0;
+        this.lastAnalysis = null;
+        this.highlightedEdges = new Set();
+        return true;
+    }
+
+    // Runs an interval/circuit program (workout-programs.js) on the live camera, moving through
+    // its blocks automatically. The whole program is saved as one workout.
+    async startProgram(program) {
+        if (!this.cameraStream) {
+            await this.startCamera();
+            if (!this.cameraStream) return;
+        }
+
+        // Anything done before the program is saved on its own
+        this.stopWorkoutTimer();
+        this.paused = false;
+        await this.finishWorkoutSession();
+
+        const first = program.blocks.find(block => block.type === 'exercise');
+        this.setExercise(first.exercise);
+        this.program = new ProgramRunner(program);
+        this.startWorkoutSession({ program });
+        this.program.start(this.workoutSeconds);
+        this.startProgramBlock();
+    }
+
+    async startProgramFromForm() {
+        const presetSelect = document.getElementById('program-select');
+        const customInput = document.getElementById('program-custom');
+        const custom = customInput ? customInput.value.trim() : '';
+
+        try {
+            const program = custom ? WorkoutProgram.parse(custom) : WorkoutProgram.preset(presetSelect.value);
+            await this.startProgram(program);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    isResting() {
+        return !!this.program && !!this.program.current && this.program.current.type === 'rest';
+    }
+
+    startProgramBlock() {
+        const runner = this.program;
+        const block = runner.current;
+        this.programCountdown = null;
+
+        this.participants.forEach(participant => {
+            if (participant.record) {
+                participant.record.blockStart = { formScores: participant.record.formScores.length };
+            }
+        });
+
+        // Every exercise block starts from fresh engines, so each set counts from zero
+        if (block.type === 'exercise') {
+            this.setExercise(block.exercise);
+        }
+
+        const announcement = block.type === 'rest' && runner.next
+            ? `${block.label}. Next: ${runner.next.label}`
+            : block.label;
+        this.speak(announcement, { type: 'system' });
+        this.updateAIFeedback(announcement);
+        this.updateProgramStatus(runner.remaining(this.exerciseEngine, this.workoutSeconds));
+    }
+
+    // Checked on every timer tick and counted frame: counts down timed blocks and moves on
+    // once the focused participant finishes the block
+    updateProgram() {
+        const runner = this.program;
+        if (!runner || this.paused) return;
+
+        if (runner.isBlockDone(this.exerciseEngine, this.workoutSeconds)) {
+            this.endProgramBlock(true);
+            if (runner.advance(this.workoutSeconds)) {
+                this.startProgramBlock();
+            } else {
+                this.finishProgram();
+            }
+            return;
+        }
+
+        const remaining = runner.remaining(this.exerciseEngine, this.workoutSeconds);
+        const secondsLeft = remaining !== null ? Math.ceil(remaining) : null;
+        if (secondsLeft !== null && secondsLeft <= 3 && secondsLeft !== this.programCountdown) {
+            this.programCountdown = secondsLeft;
+            this.speak(secondsLeft.toString(), { type: 'count' });
+        }
+        this.updateProgramStatus(remaining);
+    }
+
+    // Adds the current block's results to everyone's record
+    endProgramBlock(completed) {
+        const runner = this.program;
+        const block = runner.current;
+        const duration = runner.elapsed(this.workoutSeconds);
+        const exercise = block.type === 'exercise';
+
+        this.participants.forEach(participant => {
+            const record = participant.record;
+            if (!record) return;
+
+            const engine = participant.engine;
+            const scores = record.formScores.slice(record.blockStart.formScores);
+            const summary = {
+                index: block.index,
+                type: block.type,
+                exerciseType: exercise ? block.exercise : null,
+                label: block.label,
+                targetReps: block.reps || 0,
+                targetDuration: block.duration || 0,
+                completed,
+                duration,
+                reps: exercise ? engine.reps : 0,
+                partialReps: exercise ? engine.repHistory.filter(rep => !rep.valid).length : 0,
+                holdMetrics: exercise && engine.definition.mode === 'hold' ? engine.holdSummary() : undefined,
+                avgFormScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0,
+                postureAlerts: exercise ? Object.values(engine.alertCounts).reduce((sum, count) => sum + count, 0) : 0,
+                cadence: exercise ? Math.round(engine.cadence()) : 0
+            };
+            summary.calories = this.estimateCalories(exercise ? engine.definition : null, {
+                duration,
+                reps: summary.reps,
+                cadence: summary.cadence,
+                holdSeconds: summary.holdMetrics ? summary.holdMetrics.totalHold : 0
+            });
+
+            record.blocks.push(summary);
+            record.repsBefore += summary.reps;
+        });
+    }
+
+    finishProgram() {
+        const name = this.program.program.name;
+        this.program = null;
+        this.updateProgramStatus();
+
+        // Stopping saves the workout with every block's results
+        this.stopCamera();
+        this.speak('Program complete. Great work!', { type: 'system' });
+        this.updateAIFeedback(`${name} complete!`);
+    }
+
+    updateProgramStatus(remaining = null) {
+        const status = document.getElementById('program-status');
+        if (!status) return;
+
+        const runner = this.program;
+        if (!runner || !runner.current) {
+            status.classList.add('hidden');
+            return;
+        }
+
+        const block = runner.current;
+        const parts = [runner.program.name, `Block ${block.index + 1}/${runner.program.blocks.length}: ${block.label}`];
+        if (remaining !== null) {
+            parts.push(`${this.formatDuration(Math.ceil(remaining))} left`);
+        }
+        if (runner.next) {
+            parts.push(`Next: ${runner.next.label}`);
+        }
+        status.textContent = parts.join(' · ');
+        status.classList.remove('hidden');
     }
 
     // Payment System Methods
@@ -1094,8 +2094,75 @@ class PoseAI {
         if (voiceFeedbackToggle) {
             voiceFeedbackToggle.addEventListener('change', (e) => {
                 this.voiceFeedbackEnabled = e.target.checked;
+                this.voiceCoach.configure({ enabled: e.target.checked });
             });
         }
+
+        // Program presets
+        const programSelect = document.getElementById('program-select');
+        if (programSelect) {
+            programSelect.innerHTML = PROGRAM_PRESETS
+                .map(program => `<option value="${program.id}">${program.name}</option>`)
+                .join('');
+        }
+
+        // Gesture controls
+        const gestureToggle = document.getElementById('gesture-controls');
+        if (gestureToggle) {
+            gestureToggle.checked = this.gestures.enabled;
+            gestureToggle.addEventListener('change', (e) => this.setGesturesEnabled(e.target.checked));
+        }
+
+        // Coaching voice, language and speed
+        const langSelect = document.getElementById('voice-lang');
+        const voiceSelect = document.getElementById('voice-select');
+        const rateInput = document.getElementById('voice-rate');
+        if (langSelect && voiceSelect && rateInput) {
+            const settings = this.voiceCoach.settings;
+            const fillVoices = () => {
+                voiceSelect.innerHTML = '<option value="">Default</option>' + this.voiceCoach.voices(langSelect.value)
+                    .map(voice => `<option value="${voice.name}">${voice.name}</option>`)
+                    .join('');
+                voiceSelect.value = settings.voice || '';
+            };
+            const fillLanguages = () => {
+                langSelect.innerHTML = '<option value="">Any</option>' + this.voiceCoach.languages()
+                    .map(lang => `<option value="${lang}">${lang}</option>`)
+                    .join('');
+                langSelect.value = settings.lang || '';
+                fillVoices();
+            };
+
+            // Some browsers only list their voices after voiceschanged
+            fillLanguages();
+            if ('speechSynthesis' in window) {
+                window.speechSynthesis.addEventListener('voiceschanged', fillLanguages);
+            }
+
+            rateInput.value = settings.rate;
+            langSelect.addEventListener('change', (e) => {
+                this.updateVoiceSettings({ lang: e.target.value || null, voice: null });
+                fillVoices();
+            });
+            voiceSelect.addEventListener('change', (e) => {
+                this.updateVoiceSettings({ voice: e.target.value || null });
+                this.speak('Voice selected', { type: 'system' });
+            });
+            rateInput.addEventListener('change', (e) => {
+                this.updateVoiceSettings({ rate: parseFloat(e.target.value) });
+                this.speak('Speed updated', { type: 'system' });
+            });
+        }
+
+        // Pose model selector
+        const modelSelect = document.getElementById('pose-model-select');
+        if (modelSelect) {
+            modelSelect.innerHTML = PoseModelManager.list()
+                .map(model => `<option value="${model.id}">${model.name}</option>`)
+                .join('');
+            modelSelect.value = this.poseModels.modelId;
+            modelSelect.addEventListener('change', (e) => this.selectPoseModel(e.target.value));
+        }
     }
 
     setupProfile() {
@@ -1365,18 +2432,34 @@ class PoseAI {
             <div class="glassmorphism p-4 mb-3">
                 <div class="flex justify-between items-center">
                     <div>
-                        <h4 class="font-semibold">${workout.exerciseType}</h4>
-                        <p class="text-sm text-gray-300">${new Date(workout.date).toLocaleDateString()}</p>
+                        <h4 class="font-semibold">${workout.program ? workout.program.name : workout.exerciseType}</h4>
+                        <p class="text-sm text-gray-300">${new Date(workout.date).toLocaleDateString()}${workout.source === 'video' ? ' · from video' : ''}</p>
                     </div>
                     <div class="text-right">
                         <p class="text-sm">${workout.reps} reps</p>
                         <p class="text-sm">${this.formatDuration(workout.duration)}</p>
                     </div>
                 </div>
+                ${this.formatWorkoutQuality(workout)}
             </div>
         `).join('');
     }
 
+    formatWorkoutQuality(workout) {
+        const quality = workout.formQuality || {};
+        const metrics = workout.exerciseMetrics || {};
+        const details = [];
+
+        if (workout.avgFormScore) details.push(`Form ${Math.round(workout.avgFormScore)}% (${metrics.formTrend || 'stable'})`);
+        if (metrics.maxConsecutiveReps) details.push(`Best streak ${metrics.maxConsecutiveReps}`);
+        if (metrics.averageRepDuration) details.push(`${metrics.averageRepDuration.toFixed(1)}s/rep`);
+        if (quality.backStraightness) details.push(`Back ${quality.backStraightness}%`);
+        if (quality.elbowAngle) details.push(`Elbow avg ${quality.elbowAngle}°`);
+        details.push(`${quality.postureAlerts || 0} posture alerts`);
+
+        return `<p class="text-xs text-gray-400 mt-2">${details.join(' · ')}</p>`;
+    }
+
     displayProgressChart(progress) {
         // Simple progress display (could integrate with Chart.js)
         const container = document.getElementById('progress-chart');
@@ -1419,48 +2502,30 @@ class PoseAI {
         }
     }
 
-    calculateFormScore(pose) {
+    calculateFormScore(pose, analysis = this.lastAnalysis) {
         // Simple form scoring based on keypoint confidence and angles
         const keypoints = pose.keypoints;
         const avgConfidence = keypoints.reduce((sum, kp) => sum + kp.score, 0) / keypoints.length;
         
         let formScore = avgConfidence * 100;
         
-        // Adjust based on exercise-specific metrics
-        if (this.currentExercise === 'pushups') {
-            if (this.highlightBack) {
-                formScore -= 20; // Penalize bad back posture
-            }
-            if (this.elbowAngle > 160 && this.elbowAngle < 200) {
-                formScore += 10; // Bonus for good up position
-            }
+        // Penalize each form rule the active exercise currently flags
+        if (analysis) {
+            analysis.violations.forEach(rule => {
+                formScore -= rule.penalty || 20;
+            });
         }
         
         return Math.max(0, Math.min(100, formScore));
     }
 
     updateExerciseFeedback(pose) {
-        const feedback = [];
+        // Feedback comes from the active exercise definition
+        let feedback = this.lastAnalysis ? this.lastAnalysis.feedback : [];
         
-        switch (this.currentExercise) {
-            case 'pushups':
-                if (this.highlightBack) {
-                    feedback.push('Keep your back straight');
-                }
-                if (this.elbowAngle > 160 && this.elbowAngle < 200) {
-                    feedback.push('Good up position');
-                }
-                break;
-            case 'squats':
-                // Add squat-specific feedback
-                feedback.push('Maintain good squat form');
-                break;
-            case 'jumping-jacks':
-                feedback.push('Keep jumping rhythm');
-                break;
-            case 'plank':
-                feedback.push('Hold that plank position');
-                break;
+        const cadence = this.exerciseEngine.cadence();
+        if (cadence > 0) {
+            feedback = feedback.concat(`Pace: ${Math.round(cadence)} reps/min`);
         }
         
         if (feedback.length > 0) {
@@ -1510,6 +2575,51 @@ function resetWorkout() {
     }
 }
 
+function startProgram() {
+    if (window.poseai) {
+        window.poseai.startProgramFromForm();
+    }
+}
+
+function saveLiveWorkout() {
+    if (window.poseai) {
+        window.poseai.saveLiveWorkout();
+    }
+}
+
+function analyzeVideoFile(input) {
+    if (window.poseai && input.files.length > 0) {
+        window.poseai.startVideoAnalysis(input.files[0]);
+    }
+    input.value = '';
+}
+
+function seekVideo(seconds) {
+    if (window.poseai) {
+        window.poseai.seekVideo(parseFloat(seconds));
+    }
+}
+
+function replayRecording(input) {
+    const speed = parseFloat(document.getElementById('replay-speed').value);
+    if (window.poseai && input.files.length > 0) {
+        window.poseai.replayFile(input.files[0], { speed });
+    }
+    input.value = '';
+}
+
+function lockParticipant(id) {
+    if (window.poseai) {
+        window.poseai.lockParticipant(id);
+    }
+}
+
+function unlockParticipant() {
+    if (window.poseai) {
+        window.poseai.unlockParticipant();
+    }
+}
+
 function scrollToSection(sectionId) {
     const section = document.getElementById(sectionId);
     if (section) {
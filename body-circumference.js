@@ -0,0 +1,232 @@
+// Circumference estimates for PoseAI body measurements
+//
+// A camera only sees widths, so circumferences come from two views: the
+// front view gives each body part's width, the side view (turned 90°) its
+// depth, and the cross-section is modelled as an ellipse with those axes.
+// The body's outline (silhouette) is whatever differs from a frame of the
+// empty background, and widths are read along scanlines placed from the pose
+// keypoints. Thighs and upper arms overlap each other or the torso from the
+// side, so they are modelled as circles from the front width alone.
+
+const CircumferenceStats = typeof MeasurementStats !== 'undefined' ? MeasurementStats : require('./measurement-calibration').MeasurementStats;
+
+const SILHOUETTE_KEYPOINTS = {
+    leftShoulder: 5, rightShoulder: 6,
+    leftElbow: 7, rightElbow: 8,
+    leftHip: 11, rightHip: 12,
+    leftKnee: 13, rightKnee: 14
+};
+
+const Silhouette = {
+    // Pixels that differ from the empty background by at least `threshold` (summed RGB)
+    fromBackground(image, background, threshold = 60) {
+        const mask = new Uint8Array(image.width * image.height);
+        const a = image.data, b = background.data;
+        for (let i = 0, p = 0; p < mask.length; i += 4, p++) {
+            const difference = Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2]);
+            mask[p] = difference >= threshold ? 1 : 0;
+        }
+        return { width: image.width, height: image.height, mask };
+    },
+
+    isSet(silhouette, x, y) {
+        const px = Math.round(x), py = Math.round(y);
+        if (px < 0 || py < 0 || px >= silhouette.width || py >= silhouette.height) return false;
+        return silhouette.mask[py * silhouette.width + px] === 1;
+    },
+
+    // Width of the silhouette through `point` along `direction` (a unit vector). Each side
+    // is walked until `maxGap` background pixels in a row; it fails when a side runs off
+    // the frame or past maxHalf, since the edge wasn't seen. `stopAt` ({ plus, minus }
+    // distances) ends a side early without failing, e.g. at the body's midline.
+    span(silhouette, point, direction, options = {}) {
+        const maxGap = options.maxGap || 3;
+        const maxHalf = options.maxHalf || Math.max(silhouette.width, silhouette.height);
+        const at = t => ({ x: point.x + direction.x * t, y: point.y + direction.y * t });
+
+        // Start from the silhouette even if the exact point fell in a hole
+        let start = null;
+        for (let t = 0; t <= maxGap && start === null; t++) {
+            if (this.isSet(silhouette, at(t).x, at(t).y)) start = t;
+            else if (this.isSet(silhouette, at(-t).x, at(-t).y)) start = -t;
+        }
+        if (start === null) return null;
+
+        const stopAt = options.stopAt || {};
+        const walk = (sign, stop) => {
+            let edge = start, gap = 0;
+            for (let t = start + sign; Math.abs(t) <= maxHalf; t += sign) {
+                if (stop !== undefined && Math.abs(t) > stop) return edge;
+                const p = at(t);
+                if (p.x < 0 || p.y < 0 || p.x >= silhouette.width || p.y >= silhouette.height) return null;
+                if (this.isSet(silhouette, p.x, p.y)) {
+                    edge = t;
+                    gap = 0;
+                } else if (++gap >= maxGap) {
+                    return edge;
+                }
+            }
+            return null;
+        };
+
+        const plus = walk(1, stopAt.plus);
+        const minus = walk(-1, stopAt.minus);
+        if (plus === null || minus === null) return null;
+
+        return { length: plus - minus + 1, from: at(minus), to: at(plus) };
+    }
+};
+
+// Ramanujan's approximation for the perimeter of an ellipse with semi-axes a and b
+function ellipseCircumference(a, b) {
+    return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+}
+
+// level: where the scanline sits along the segment it is placed on; field: BodyMeasurement field
+const CIRCUMFERENCE_SITES = {
+    chest: { name: 'Chest', field: 'chestCircumference', level: 0.3, views: ['front', 'side'] }, // shoulder-to-hip
+    waist: { name: 'Waist', field: 'waistCircumference', level: 0.65, views: ['front', 'side'] },
+    hip: { name: 'Hips', field: 'hipCircumference', level: 1.0, views: ['front', 'side'] },
+    thigh: { name: 'Thigh', field: 'thighCircumference', level: 0.25, views: ['front'] },          // hip-to-knee
+    upperArm: { name: 'Upper arm', field: 'upperArmCircumference', level: 0.5, views: ['front'] }  // shoulder-to-elbow
+};
+
+class CircumferenceEstimator {
+    constructor(options = {}) {
+        this.minScore = options.minScore || 0.4;
+    }
+
+    keypoint(pose, name) {
+        const kp = pose.keypoints[SILHOUETTE_KEYPOINTS[name]];
+        return kp && kp.score >= this.minScore ? kp : null;
+    }
+
+    // Front view, arms held away from the body and feet apart: widths in pixels by site
+    measureFront(silhouette, pose) {
+        const kp = name => this.keypoint(pose, name);
+        const widths = {};
+        const horizontal = { x: 1, y: 0 };
+
+        const shoulders = [kp('leftShoulder'), kp('rightShoulder')];
+        const hips = [kp('leftHip'), kp('rightHip')];
+        if (shoulders.every(Boolean) && hips.every(Boolean)) {
+            const top = { x: (shoulders[0].x + shoulders[1].x) / 2, y: (shoulders[0].y + shoulders[1].y) / 2 };
+            const bottom = { x: (hips[0].x + hips[1].x) / 2, y: (hips[0].y + hips[1].y) / 2 };
+            ['chest', 'waist', 'hip'].forEach(site => {
+                const level = CIRCUMFERENCE_SITES[site].level;
+                const point = { x: top.x + (bottom.x - top.x) * level, y: top.y + (bottom.y - top.y) * level };
+                const span = Silhouette.span(silhouette, point, horizontal);
+                if (span) widths[site] = span;
+            });
+        }
+
+        // Limbs are measured across the bone, on both sides; the inner side of a thigh
+        // stops at the body's midline so touching legs aren't measured together
+        const midline = hips.every(Boolean) ? (hips[0].x + hips[1].x) / 2 : null;
+        const limb = (site, joint, end, maxShare, stopAtMidline) => {
+            const a = kp(joint), b = kp(end);
+            if (!a || !b) return null;
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) return null;
+
+            const level = CIRCUMFERENCE_SITES[site].level;
+            const point = { x: a.x + (b.x - a.x) * level, y: a.y + (b.y - a.y) * level };
+            const across = { x: -(b.y - a.y) / length, y: (b.x - a.x) / length };
+            const options = { maxHalf: length * maxShare };
+            if (stopAtMidline && midline !== null && across.x !== 0) {
+                const distance = (midline - point.x) / across.x;
+                options.stopAt = distance > 0 ? { plus: distance } : { minus: -distance };
+            }
+            return Silhouette.span(silhouette, point, across, options);
+        };
+
+        const thighs = [['leftHip', 'leftKnee'], ['rightHip', 'rightKnee']]
+            .map(([hip, knee]) => limb('thigh', hip, knee, 0.5, true))
+            .filter(Boolean);
+        if (thighs.length > 0) widths.thigh = thighs;
+
+        // An arm held against the torso runs past maxHalf and is left out
+        const arms = [['leftShoulder', 'leftElbow'], ['rightShoulder', 'rightElbow']]
+            .map(([shoulder, elbow]) => limb('upperArm', shoulder, elbow, 0.35, false))
+            .filter(Boolean);
+        if (arms.length > 0) widths.upperArm = arms;
+
+        return widths;
+    }
+
+    // Side view, arms by the sides: depths in pixels, from whichever side faces the camera
+    measureSide(silhouette, pose) {
+        const pick = (left, right) => {
+            const a = this.keypoint(pose, left), b = this.keypoint(pose, right);
+            if (a && b) return a.score >= b.score ? a : b;
+            return a || b;
+        };
+        const shoulder = pick('leftShoulder', 'rightShoulder');
+        const hip = pick('leftHip', 'rightHip');
+        if (!shoulder || !hip) return {};
+
+        const depths = {};
+        ['chest', 'waist', 'hip'].forEach(site => {
+            const level = CIRCUMFERENCE_SITES[site].level;
+            const point = { x: shoulder.x + (hip.x - shoulder.x) * level, y: shoulder.y + (hip.y - shoulder.y) * level };
+            const span = Silhouette.span(silhouette, point, { x: 1, y: 0 });
+            if (span) depths[site] = span;
+        });
+        return depths;
+    }
+
+    // fronts/sides: per-frame results of measureFront/measureSide. Returns cm by site,
+    // with the frame-to-frame spread of each and the share of frames it was found on.
+    combine(fronts, sides, scaleCmPerPixel) {
+        const lengths = (frames, site) => frames
+            .flatMap(frame => [].concat(frame[site] || []))
+            .map(span => span.length);
+        const seenShare = (frames, site) => frames.filter(frame => frame[site]).length / frames.length;
+        const results = {};
+
+        Object.keys(CIRCUMFERENCE_SITES).forEach(site => {
+            const width = CircumferenceStats.summarize(lengths(fronts, site));
+            if (!width) return;
+
+            const frontCm = width.median * scaleCmPerPixel;
+            if (CIRCUMFERENCE_SITES[site].views.includes('side')) {
+                const depth = CircumferenceStats.summarize(lengths(sides, site));
+                if (!depth) return;
+
+                const sideCm = depth.median * scaleCmPerPixel;
+                results[site] = {
+                    value: ellipseCircumference(frontCm / 2, sideCm / 2),
+                    width: frontCm,
+                    depth: sideCm,
+                    spread: ellipseCircumference(width.spread * scaleCmPerPixel / 2, depth.spread * scaleCmPerPixel / 2),
+                    seenShare: Math.min(seenShare(fronts, site), seenShare(sides, site))
+                };
+            } else {
+                results[site] = {
+                    value: Math.PI * frontCm,
+                    width: frontCm,
+                    spread: Math.PI * width.spread * scaleCmPerPixel,
+                    seenShare: seenShare(fronts, site)
+                };
+            }
+        });
+        return results;
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.Silhouette = Silhouette;
+    window.ellipseCircumference = ellipseCircumference;
+    window.CIRCUMFERENCE_SITES = CIRCUMFERENCE_SITES;
+    window.CircumferenceEstimator = CircumferenceEstimator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Silhouette,
+        ellipseCircumference,
+        CIRCUMFERENCE_SITES,
+        CircumferenceEstimator
+    };
+}
@@ -0,0 +1,242 @@
+// Landmark-based body measurements for PoseAI
+//
+// Each measurement is a path through MoveNet keypoints (a straight line, or
+// several segments summed along a limb), converted to cm with the calibration
+// scale. MEASUREMENT_FIELDS lists every field a BodyMeasurement can store,
+// circumferences included, with the range the server accepts and the
+// measurementType group it belongs to. A LandmarkCapture reads the measurements
+// over a window of frames and keeps the median of each.
+
+const LandmarkSites = typeof CIRCUMFERENCE_SITES !== 'undefined' ? CIRCUMFERENCE_SITES : require('./body-circumference').CIRCUMFERENCE_SITES;
+const LandmarkStats = typeof MeasurementStats !== 'undefined' ? MeasurementStats : require('./measurement-calibration').MeasurementStats;
+
+const LANDMARK_KEYPOINTS = {
+    leftShoulder: 5, rightShoulder: 6,
+    leftElbow: 7, rightElbow: 8,
+    leftWrist: 9, rightWrist: 10,
+    leftHip: 11, rightHip: 12,
+    leftKnee: 13, rightKnee: 14,
+    leftAnkle: 15, rightAnkle: 16
+};
+
+// path: keypoint names, or [a, b] pairs for the midpoint between two keypoints.
+// paths: alternatives averaged together (both legs for the inseam).
+// straightness: the path's end-to-end distance must be at least this share of its
+// length, so a bent arm doesn't shorten the arm span.
+const LANDMARK_MEASUREMENTS = [
+    { field: 'shoulderWidth', name: 'Shoulder width', type: 'torso', color: '#3b82f6', range: [20, 70],
+        path: ['leftShoulder', 'rightShoulder'] },
+    { field: 'leftBicep', name: 'Left upper arm', type: 'bicep', color: '#10b981', range: [15, 50],
+        path: ['leftShoulder', 'leftElbow'] },
+    { field: 'rightBicep', name: 'Right upper arm', type: 'bicep', color: '#8b5cf6', range: [15, 50],
+        path: ['rightShoulder', 'rightElbow'] },
+    { field: 'leftForearmLength', name: 'Left forearm', type: 'arms', color: '#34d399', range: [15, 45],
+        path: ['leftElbow', 'leftWrist'] },
+    { field: 'rightForearmLength', name: 'Right forearm', type: 'arms', color: '#a78bfa', range: [15, 45],
+        path: ['rightElbow', 'rightWrist'] },
+    // Wrist to wrist with the arms held out straight, plus a hand at each end
+    // (hand length is about 0.73 x forearm length)
+    { field: 'armSpan', name: 'Arm span', type: 'arms', color: '#f472b6', range: [100, 250],
+        path: ['leftWrist', 'leftElbow', 'leftShoulder', 'rightShoulder', 'rightElbow', 'rightWrist'],
+        straightness: 0.95,
+        extra: lengths => 2 * 0.73 * (lengths.leftForearmLength + lengths.rightForearmLength) / 2 },
+    { field: 'hipWidth', name: 'Hip width', type: 'torso', color: '#f59e0b', range: [10, 60],
+        path: ['leftHip', 'rightHip'] },
+    { field: 'torsoLength', name: 'Torso length', type: 'torso', color: '#fbbf24', range: [30, 90],
+        path: [['leftShoulder', 'rightShoulder'], ['leftHip', 'rightHip']] },
+    // Hip joint to ankle along the leg, averaged over both legs
+    { field: 'inseam', name: 'Inseam', type: 'legs', color: '#ef4444', range: [50, 120],
+        paths: [['leftHip', 'leftKnee', 'leftAnkle'], ['rightHip', 'rightKnee', 'rightAnkle']] },
+    { field: 'leftThighLength', name: 'Left thigh', type: 'legs', color: '#f87171', range: [25, 70],
+        path: ['leftHip', 'leftKnee'] },
+    { field: 'rightThighLength', name: 'Right thigh', type: 'legs', color: '#fb923c', range: [25, 70],
+        path: ['rightHip', 'rightKnee'] },
+    { field: 'leftShinLength', name: 'Left shin', type: 'legs', color: '#fca5a5', range: [25, 65],
+        path: ['leftKnee', 'leftAnkle'] },
+    { field: 'rightShinLength', name: 'Right shin', type: 'legs', color: '#fdba74', range: [25, 65],
+        path: ['rightKnee', 'rightAnkle'] }
+];
+
+const CIRCUMFERENCE_RANGES = {
+    chest: [50, 200],
+    waist: [40, 200],
+    hip: [50, 200],
+    thigh: [25, 110],
+    upperArm: [15, 70]
+};
+
+const MEASUREMENT_FIELDS = [
+    ...LANDMARK_MEASUREMENTS.map(({ field, name, type, range }) => ({ field, name, type, range })),
+    ...Object.keys(LandmarkSites).map(site => ({
+        field: LandmarkSites[site].field,
+        name: `${LandmarkSites[site].name} circumference`,
+        type: 'circumference',
+        range: CIRCUMFERENCE_RANGES[site]
+    }))
+];
+
+// 'chest' is only on measurements saved before shoulder width had its own field
+const MEASUREMENT_TYPES = ['chest', 'bicep', 'arms', 'torso', 'legs', 'circumference', 'full_body'];
+
+// One group when every measurement belongs to it, otherwise a full-body measurement
+function measurementTypeFor(values) {
+    const types = new Set(MEASUREMENT_FIELDS
+        .filter(definition => values[definition.field])
+        .map(definition => definition.type));
+    return types.size === 1 ? [...types][0] : 'full_body';
+}
+
+// Frame-to-frame spread, as a share of the value, at which a measurement counts as
+// too unsteady to trust
+const MAX_RELATIVE_SPREAD = 0.15;
+
+// Readings within about a millimetre of each other never count as outliers
+const MIN_DEVIATION_CM = 0.1;
+
+// 0-1 from how sure the pose model was of the keypoints, the share of frames the
+// measurement was seen on without being rejected as an outlier, and how steady it was
+function measurementConfidence({ keypointScore = 1, seenShare, relativeSpread }) {
+    const steadiness = Math.max(0, 1 - relativeSpread / MAX_RELATIVE_SPREAD);
+    return Math.min(1, keypointScore) * Math.min(1, seenShare) * steadiness;
+}
+
+const LandmarkMeasurer = {
+    // Lengths in pixels by field for the keypoints visible above minScore, the lowest
+    // keypoint score on each path, and the segments to draw for each
+    measure(pose, minScore = 0.5) {
+        const point = name => {
+            if (Array.isArray(name)) {
+                const [a, b] = name.map(point);
+                return a && b ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, score: Math.min(a.score, b.score) } : null;
+            }
+            const kp = pose.keypoints[LANDMARK_KEYPOINTS[name]];
+            return kp && kp.score > minScore ? kp : null;
+        };
+        const trace = path => {
+            const points = path.map(point);
+            if (points.some(p => !p)) return null;
+            let length = 0;
+            for (let i = 1; i < points.length; i++) {
+                length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+            }
+            return { points, length, score: Math.min(...points.map(p => p.score)) };
+        };
+
+        const lengths = {};
+        const scores = {};
+        const lines = [];
+        LANDMARK_MEASUREMENTS.forEach(definition => {
+            const traces = (definition.paths || [definition.path]).map(trace);
+            if (traces.some(t => !t)) return;
+
+            if (definition.straightness) {
+                const [first, last] = [traces[0].points[0], traces[0].points[traces[0].points.length - 1]];
+                if (Math.hypot(last.x - first.x, last.y - first.y) < traces[0].length * definition.straightness) return;
+            }
+
+            let length = traces.reduce((sum, t) => sum + t.length, 0) / traces.length;
+            if (definition.extra) {
+                const extra = definition.extra(lengths);
+                if (!Number.isFinite(extra)) return;
+                length += extra;
+            }
+
+            lengths[definition.field] = length;
+            scores[definition.field] = Math.min(...traces.map(t => t.score));
+            traces.forEach(t => {
+                for (let i = 1; i < t.points.length; i++) {
+                    lines.push([t.points[i - 1], t.points[i], definition.color]);
+                }
+            });
+        });
+        return { lengths, scores, lines };
+    }
+};
+
+// Collects landmark measurements in cm over a number of frames with a pose. A
+// measurement seen on fewer than minSeenShare of them is left out.
+class LandmarkCapture {
+    constructor(scaleCmPerPixel, options = {}) {
+        this.scaleCmPerPixel = scaleCmPerPixel;
+        this.framesNeeded = options.frames || 20;
+        this.minSeenShare = options.minSeenShare || 0.25;
+        this.framesSeen = 0;
+        this.samples = {}; // field -> [{ value, score }]
+        this.poseScores = [];
+    }
+
+    get done() {
+        return this.framesSeen >= this.framesNeeded;
+    }
+
+    // Returns the frame's measurement (LandmarkMeasurer.measure) for drawing
+    addPose(pose) {
+        const measured = LandmarkMeasurer.measure(pose);
+        this.framesSeen++;
+
+        const bodyScores = Object.values(LANDMARK_KEYPOINTS)
+            .map(index => pose.keypoints[index])
+            .filter(Boolean)
+            .map(kp => kp.score || 0);
+        this.poseScores.push(bodyScores.reduce((sum, score) => sum + score, 0) / bodyScores.length);
+
+        Object.keys(measured.lengths).forEach(field => {
+            if (!this.samples[field]) this.samples[field] = [];
+            this.samples[field].push({ value: measured.lengths[field] * this.scaleCmPerPixel, score: measured.scores[field] });
+        });
+        return measured;
+    }
+
+    // { measurements: { field: { value, spread, confidence, frames, rejectedFrames } },
+    //   frames, poseConfidence }
+    result() {
+        const measurements = {};
+        LANDMARK_MEASUREMENTS.forEach(({ field }) => {
+            const samples = this.samples[field] || [];
+            if (samples.length < this.framesSeen * this.minSeenShare) return;
+
+            const summary = LandmarkStats.summarize(samples.map(sample => sample.value), 3, MIN_DEVIATION_CM);
+            if (!summary) return;
+            measurements[field] = {
+                value: summary.median,
+                spread: summary.spread,
+                confidence: measurementConfidence({
+                    keypointScore: samples.reduce((sum, sample) => sum + sample.score, 0) / samples.length,
+                    seenShare: summary.kept / this.framesSeen,
+                    relativeSpread: summary.spread / summary.median
+                }),
+                frames: summary.kept,
+                rejectedFrames: summary.rejected
+            };
+        });
+
+        return {
+            measurements,
+            frames: this.framesSeen,
+            poseConfidence: LandmarkStats.median(this.poseScores) || 0
+        };
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.LANDMARK_MEASUREMENTS = LANDMARK_MEASUREMENTS;
+    window.MEASUREMENT_FIELDS = MEASUREMENT_FIELDS;
+    window.MEASUREMENT_TYPES = MEASUREMENT_TYPES;
+    window.measurementTypeFor = measurementTypeFor;
+    window.measurementConfidence = measurementConfidence;
+    window.LandmarkMeasurer = LandmarkMeasurer;
+    window.LandmarkCapture = LandmarkCapture;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LANDMARK_MEASUREMENTS,
+        MEASUREMENT_FIELDS,
+        MEASUREMENT_TYPES,
+        measurementTypeFor,
+        measurementConfidence,
+        LandmarkMeasurer,
+        LandmarkCapture
+    };
+}
@@ -1,4 +1,15 @@
 // Body Measurement System for PoseAI
+
+// Guided circumference capture: seconds to get into position, then frames read per view
+const CIRCUMFERENCE_COUNTDOWN_MS = 3000;
+const CIRCUMFERENCE_CAPTURE_FRAMES = 10;
+
+// Frames with a pose that Measure reads before reporting the median of each measurement
+const MEASUREMENT_CAPTURE_FRAMES = 20;
+
+// Confidence below which a value is flagged on screen
+const LOW_CONFIDENCE = 0.5;
+
 class BodyMeasurement {
     constructor() {
         this.video = null;
@@ -6,23 +17,55 @@ class BodyMeasurement {
         this.ctx = null;
         this.poseDetector = null;
         this.cameraStream = null;
+        this.poseSource = null; // camera, video file or recorded replay, see pose-sources.js
         this.isDetecting = false;
         
-        // Measurement constants (similar to Python script)
-        this.KNOWN_HAND_WIDTH = 8.0; // cm - average hand width
-        this.FOCAL_LENGTH = 500;
+        // Drawing runs on its own animation loop from the latest results, so a slow
+        // detector doesn't hold back the video
+        this.renderLoop = null;
+        this.latestPose = null;
+        this.measurementLines = []; // [point1, point2, color] for the current measurements
+        
+        // Keypoint smoothing and confidence gating applied to every frame (pose-filter.js)
+        this.poseFilter = new PoseFilter();
+        
+        // Pose model choice with FPS-based fallback, inference in a worker (pose-models.js)
+        this.poseModels = new WorkerPoseModelManager({
+            modelId: localStorage.getItem('poseai_pose_model'),
+            onChange: change => this.updateStatus(
+                change.to !== change.from
+                    ? `Low frame rate - switched to ${POSE_MODELS[change.to].name}`
+                    : `Low frame rate - input at ${Math.round(change.inputScale * 100)}%`,
+                'ready'
+            )
+        });
+        
+        // Scale from a reference object of known size held in frame, or from the user's
+        // height while they stand fully in frame (measurement-calibration.js)
+        this.calibrationMethod = localStorage.getItem('poseai_calibration_method') === 'height' ? 'height' : 'reference';
+        this.referenceObject = REFERENCE_OBJECTS[localStorage.getItem('poseai_reference_object')]
+            ? localStorage.getItem('poseai_reference_object')
+            : 'credit-card';
+        this.calibration = null; // ReferenceCalibration or HeightCalibration while calibrating
+        this.calibrationResult = null; // { method, scaleCmPerPixel, errorPercent, frames, ... }
+        this.frameCanvas = null; // offscreen copy of the video frame the reference is found in
         this.scaleCmPerPixel = null;
         this.isCalibrated = false;
         
         // Measurement data
-        this.currentMeasurements = {
-            chest: null,
-            leftBicep: null,
-            rightBicep: null
-        };
+        this.currentMeasurements = {};
+        MEASUREMENT_FIELDS.forEach(definition => {
+            this.currentMeasurements[definition.field] = null;
+        });
+        this.measurementQuality = {}; // field -> { spread, confidence } for the current values
+        this.measurementCapture = null; // LandmarkCapture while Measure is reading frames
+        this.captureInfo = null; // { frames, poseConfidence, deviceInfo } of the last Measure
+        
+        // Guided background/front/side capture for circumferences (body-circumference.js)
+        this.circumferenceEstimator = new CircumferenceEstimator();
+        this.circumferenceCapture = null; // { step, stepStart, background, fronts, sides } while capturing
         
         this.measurementHistory = [];
-        this.calibrationFrames = [];
         
         this.init();
     }
@@ -32,32 +75,57 @@ class BodyMeasurement {
         this.ctx = this.canvas.getContext('2d');
         this.video = document.getElementById('video-element');
         
+        const referenceSelect = document.getElementById('reference-object-select');
+        if (referenceSelect) {
+            referenceSelect.innerHTML = Object.keys(REFERENCE_OBJECTS)
+                .map(id => `<option value="${id}">${REFERENCE_OBJECTS[id].name}</option>`)
+                .join('');
+            referenceSelect.value = this.referenceObject;
+        }
+        this.selectCalibrationMethod(this.calibrationMethod);
+        
         // Initialize pose detection
         await this.initializePoseDetection();
         
+        // Height calibration starts from the height saved in the profile
+        this.loadProfileHeight();
+        
         // Load saved measurements
         this.loadMeasurementHistory();
     }
 
     async initializePoseDetection() {
         try {
-            const detectorConfig = {
-                modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER,
-                enableSmoothing: true,
-            };
+            await this.poseModels.load();
+            this.poseDetector = this.poseModels;
             
-            this.poseDetector = await poseDetection.createDetector(
-                poseDetection.SupportedModels.MoveNet,
-                detectorConfig
-            );
+            const modelSelect = document.getElementById('pose-model-select');
+            if (modelSelect) {
+                modelSelect.innerHTML = PoseModelManager.list()
+                    .map(model => `<option value="${model.id}">${model.name}</option>`)
+                    .join('');
+                modelSelect.value = this.poseModels.modelId;
+            }
             
-            this.updateStatus('AI model loaded', 'ready');
+            this.updateStatus(`${this.poseModels.modelName} loaded`, 'ready');
         } catch (error) {
             console.error('Error loading pose detection:', error);
             this.updateStatus('AI model loading failed', 'error');
         }
     }
 
+    async selectPoseModel(modelId) {
+        try {
+            localStorage.setItem('poseai_pose_model', modelId);
+            this.updateStatus(`Loading ${POSE_MODELS[modelId].name}...`, 'measuring');
+            await this.poseModels.select(modelId);
+            this.updateStatus(`${this.poseModels.modelName} loaded`, 'ready');
+        } catch (error) {
+            console.error('Error switching pose model:', error);
+            this.updateStatus('Could not load that model', 'error');
+        }
+    }
+
     updateStatus(message, status = 'ready') {
         const statusIndicator = document.getElementById('status-indicator');
         const statusText = document.getElementById('status-text');
@@ -94,8 +162,7 @@ class BodyMeasurement {
                 this.video.onloadedmetadata = () => resolve();
             });
             
-            this.isDetecting = true;
-            this.detectPose();
+            this.startPoseSource(new CameraPoseSource(this.poseDetector, this.video));
             
             // Update UI
             document.getElementById('start-camera-btn').disabled = true;
@@ -117,6 +184,18 @@ class BodyMeasurement {
         }
         
         this.isDetecting = false;
+        this.cancelCalibration();
+        this.cancelMeasurementCapture();
+        this.cancelCircumferenceCapture();
+        this.stopRendering();
+        if (this.poseSource) {
+            if (this.poseSource.release) {
+                this.poseSource.release();
+            } else {
+                this.poseSource.stop();
+            }
+            this.poseSource = null;
+        }
         
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -125,31 +204,190 @@ class BodyMeasurement {
         document.getElementById('start-camera-btn').disabled = false;
         document.getElementById('calibrate-btn').disabled = true;
         document.getElementById('measure-btn').disabled = true;
+        document.getElementById('circumference-btn').disabled = true;
         document.getElementById('stop-camera-btn').disabled = true;
         
         this.updateStatus('Camera stopped', 'ready');
     }
 
-    async detectPose() {
-        if (!this.isDetecting || !this.poseDetector || !this.video) return;
-        
-        const poses = await this.poseDetector.estimatePoses(this.video);
+    // Run calibration and measurements against a recorded session instead of the camera
+    async startReplay(recording, options = {}) {
+        try {
+            const source = recording instanceof RecordedPoseSource
+                ? recording
+                : new RecordedPoseSource(recording, options);
+
+            this.stopCamera();
+            this.startPoseSource(source);
+
+            document.getElementById('calibrate-btn').disabled = false;
+            document.getElementById('stop-camera-btn').disabled = false;
+            this.updateStatus(`Replaying ${source.length} recorded frames`, 'ready');
+        } catch (error) {
+            console.error('Error starting replay:', error);
+            this.updateStatus('Could not replay recording', 'error');
+        }
+    }
+
+    // Measure from a filmed video instead of the camera, stepping through it frame by frame
+    async startVideoFile(file) {
+        try {
+            if (!this.poseDetector) {
+                throw new Error('Pose detection model is not loaded');
+            }
+
+            const source = await VideoFilePoseSource.fromFile(this.poseDetector, file, {
+                maxWidth: this.canvas.width,
+                maxHeight: this.canvas.height
+            });
+
+            this.stopCamera();
+            this.startPoseSource(source);
+
+            document.getElementById('calibrate-btn').disabled = false;
+            document.getElementById('stop-camera-btn').disabled = false;
+            this.updateStatus(`Analyzing ${file.name}`, 'ready');
+        } catch (error) {
+            console.error('Error loading video:', error);
+            this.updateStatus('Could not load video', 'error');
+        }
+    }
+
+    async replayFile(file, options = {}) {
+        try {
+            await this.startReplay(await RecordedPoseSource.fromFile(file, options));
+        } catch (error) {
+            console.error('Error reading recording:', error);
+            this.updateStatus('Could not read recording', 'error');
+        }
+    }
+
+    startPoseSource(source) {
+        this.poseFilter.reset();
+        this.poseSource = source;
+        this.isDetecting = true;
+        this.latestPose = null;
+        this.measurementLines = [];
+        this.detectPose();
+        this.startRendering();
+    }
+
+    startRendering() {
+        if (this.renderLoop) return;
+
+        const render = () => {
+            if (!this.poseSource) {
+                this.renderLoop = null;
+                return;
+            }
+            this.renderFrame();
+            this.renderLoop = requestAnimationFrame(render);
+        };
+        this.renderLoop = requestAnimationFrame(render);
+    }
+
+    stopRendering() {
+        if (this.renderLoop) {
+            cancelAnimationFrame(this.renderLoop);
+            this.renderLoop = null;
+        }
+    }
+
+    renderFrame() {
+        const source = this.poseSource;
         
-        // Clear canvas and draw video
+        // Clear canvas and draw video (replays only have keypoints)
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (source && source.isLive) {
+            this.ctx.save();
+            this.ctx.scale(-1, 1);
+            this.ctx.drawImage(this.video, -this.canvas.width, 0, this.canvas.width, this.canvas.height);
+            this.ctx.restore();
+        } else if (source && source.videoElement) {
+            const videoFile = source.videoElement;
+            this.ctx.drawImage(videoFile, 0, 0, videoFile.width, videoFile.height);
+        }
+        
+        if (this.latestPose) {
+            this.drawPose(this.latestPose);
+        }
+        this.measurementLines.forEach(([point1, point2, color]) => this.drawMeasurementLine(point1, point2, color));
+        
+        if (this.calibration && this.calibration.method === 'height') {
+            this.drawHeightSpan(this.calibration.lastDetection);
+        } else if (this.calibration) {
+            this.drawCalibrationGuide(source && source.isLive);
+        }
+    }
+
+    // The eye-to-ankle span the height scale is taken from, drawn like the skeleton
+    drawHeightSpan(detection) {
+        if (!detection) return;
+        this.drawMeasurementLine(detection.top, detection.ankles, '#f59e0b');
+    }
+
+    // Guide box the reference is held in, and the outline found in it on the last frame.
+    // Both are in video coordinates, so they are mirrored along with a live camera image.
+    drawCalibrationGuide(mirrored) {
+        const frame = this.frameCanvas;
+        if (!frame) return;
+
+        const scaleX = this.canvas.width / frame.width;
+        const scaleY = this.canvas.height / frame.height;
+        const box = ReferenceDetector.guideBox(frame.width, frame.height);
+        const detection = this.calibration.lastDetection;
+
         this.ctx.save();
-        this.ctx.scale(-1, 1);
-        this.ctx.drawImage(this.video, -this.canvas.width, 0, this.canvas.width, this.canvas.height);
+        if (mirrored) {
+            this.ctx.translate(this.canvas.width, 0);
+            this.ctx.scale(-1, 1);
+        }
+        this.ctx.scale(scaleX, scaleY);
+
+        this.ctx.strokeStyle = detection ? '#10b981' : '#f59e0b';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([8, 6]);
+        this.ctx.strokeRect(box.x, box.y, box.width, box.height);
+        this.ctx.setLineDash([]);
+
+        if (detection) {
+            this.ctx.translate(detection.center.x, detection.center.y);
+            this.ctx.rotate(detection.angle);
+            this.ctx.strokeStyle = '#3b82f6';
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeRect(-detection.longPx / 2, -detection.shortPx / 2, detection.longPx, detection.shortPx);
+        }
         this.ctx.restore();
+    }
+
+    async detectPose() {
+        const source = this.poseSource;
+        if (!this.isDetecting || !source) return;
         
-        if (poses.length > 0) {
-            this.drawPose(poses[0]);
-            
-            if (this.isCalibrating) {
-                this.calibrateWithHand(poses[0]);
-            } else if (this.isCalibrated) {
-                this.measurementsWithPose(poses[0]);
+        const frame = await source.next();
+        if (source !== this.poseSource) return; // stopped or replaced while waiting
+        if (!frame) {
+            this.renderFrame(); // leave the last frame on screen
+            if (source.release) {
+                source.release();
             }
+            this.isDetecting = false;
+            this.poseSource = null;
+            this.cancelMeasurementCapture();
+            document.getElementById('stop-camera-btn').disabled = true;
+            this.updateStatus(source.videoElement ? 'Video finished' : 'Replay finished', 'ready');
+            return;
+        }
+        // Drawing, calibration and measurements all read the filtered pose
+        const poses = frame.poses.length > 0 ? [this.poseFilter.filter(frame.poses[0], frame.timestamp)] : [];
+        
+        this.latestPose = poses.length > 0 ? poses[0] : null;
+        if (this.calibration) {
+            this.calibrate(source, this.latestPose);
+        } else if (this.circumferenceCapture) {
+            this.updateCircumferenceCapture(source, this.latestPose, frame.timestamp);
+        } else if (this.isCalibrated && poses.length > 0) {
+            this.measurementsWithPose(poses[0]);
         }
         
         // Continue detection
@@ -202,93 +440,312 @@ class BodyMeasurement {
         });
     }
 
-    async calibrateWithHand(pose) {
-        // Look for hand keypoints (MoveNet doesn't have hand tracking, so we'll use a different approach)
-        // For calibration, we'll detect when both arms are visible and extended
-        const leftShoulder = pose.keypoints[5];
-        const rightShoulder = pose.keypoints[6];
-        const leftElbow = pose.keypoints[7];
-        const rightElbow = pose.keypoints[8];
-        const leftWrist = pose.keypoints[9];
-        const rightWrist = pose.keypoints[10];
+    // Copies the current video frame at the size of the video element, which is what keypoints
+    // come back in (a loaded video is scaled down to fit the canvas), so the reference's pixel
+    // size, the silhouette and the keypoint distances share one scale
+    readFrame(source) {
+        const video = source.videoElement;
+        const width = video.width || video.videoWidth;
+        const height = video.height || video.videoHeight;
+        if (!width || !height) return null;
+
+        if (!this.frameCanvas) {
+            this.frameCanvas = document.createElement('canvas');
+        }
+        if (this.frameCanvas.width !== width || this.frameCanvas.height !== height) {
+            this.frameCanvas.width = width;
+            this.frameCanvas.height = height;
+        }
+
+        const context = this.frameCanvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(video, 0, 0, width, height);
+        return context.getImageData(0, 0, width, height);
+    }
+
+    // One calibration frame: a reference object is found in the video image, a height
+    // calibration reads the pose
+    calibrate(source, pose) {
+        const calibration = this.calibration;
+        let found;
+        if (calibration.method === 'height') {
+            if (!pose) return;
+            found = calibration.addPose(pose);
+        } else {
+            const image = this.readFrame(source);
+            if (!image) return;
+            found = calibration.addFrame(image);
+        }
+
+        if (found) {
+            this.updateCalibrationStatus(`Found ${calibration.samples.length}/${calibration.framesNeeded}`);
+        } else if (calibration.framesSeen % 30 === 0) {
+            this.updateStatus(this.calibrationHint(), 'calibrating');
+        }
+
+        if (!calibration.done) return;
+
+        const result = calibration.result();
+        if (!result.stable) {
+            // The reference or the person moved between frames; start over rather than keep a shaky scale
+            calibration.reset();
+            this.updateCalibrationStatus('Calibrating...');
+            this.updateStatus(`Calibration error ±${result.errorPercent.toFixed(1)}% - ${this.calibrationHint()}`, 'calibrating');
+            return;
+        }
+
+        this.calibration = null;
+        this.calibrationResult = result;
+        this.scaleCmPerPixel = result.scaleCmPerPixel;
+        this.isCalibrated = true;
         
-        if (leftShoulder.score > 0.5 && rightShoulder.score > 0.5 && 
-            leftWrist.score > 0.5 && rightWrist.score > 0.5) {
-            
-            // Calculate shoulder width as reference (approximately 40cm for average adult)
-            const shoulderWidth = Math.abs(rightShoulder.x - leftShoulder.x);
-            
-            if (shoulderWidth > 0) {
-                // Use shoulder width as calibration reference
-                this.scaleCmPerPixel = 40.0 / shoulderWidth; // Average shoulder width ~40cm
-                
-                // Collect multiple calibration frames for accuracy
-                this.calibrationFrames.push(this.scaleCmPerPixel);
-                
-                if (this.calibrationFrames.length >= 10) {
-                    // Average the calibration values
-                    this.scaleCmPerPixel = this.calibrationFrames.reduce((a, b) => a + b) / this.calibrationFrames.length;
-                    this.isCalibrated = true;
-                    this.isCalibrating = false;
-                    
-                    this.updateCalibrationStatus('Calibrated');
-                    this.updateScaleValue(`${this.scaleCmPerPixel.toFixed(4)} cm/px`);
-                    this.updateStatus('Calibration complete', 'ready');
-                    
-                    // Enable measure button
-                    document.getElementById('measure-btn').disabled = false;
-                    document.getElementById('calibrate-btn').disabled = true;
-                    
-                    // Hide calibration overlay
-                    document.getElementById('calibration-overlay').classList.add('hidden');
-                    
-                    this.calibrationFrames = [];
-                }
+        this.updateCalibrationStatus(`Calibrated ±${result.errorPercent.toFixed(1)}%`);
+        this.updateScaleValue(`${this.scaleCmPerPixel.toFixed(4)} cm/px`);
+        this.updateStatus(result.method === 'height'
+            ? `Calibration complete using your height (${result.heightCm} cm)`
+            : `Calibration complete using a ${calibration.reference.name.toLowerCase()}`, 'ready');
+        
+        // Enable measure button
+        document.getElementById('measure-btn').disabled = false;
+        document.getElementById('circumference-btn').disabled = !source.videoElement;
+        document.getElementById('calibrate-btn').disabled = true;
+        
+        // Hide calibration overlay
+        document.getElementById('calibration-overlay').classList.add('hidden');
+    }
+
+    calibrationHint() {
+        const calibration = this.calibration;
+        if (calibration.method !== 'height') {
+            return `Hold the ${calibration.reference.name.toLowerCase()} flat and still inside the box`;
+        }
+
+        const hints = {
+            'not-visible': 'Step back until your whole body, feet included, is in frame',
+            'leaning': 'Stand up straight, facing the camera',
+            'knees-bent': 'Straighten your legs',
+            'proportions': 'Check the height you entered and that your feet are in frame'
+        };
+        return hints[calibration.problem] || 'Stand still, facing the camera';
+    }
+
+    cancelCalibration() {
+        if (!this.calibration) return;
+        this.calibration = null;
+        document.getElementById('calibration-overlay').classList.add('hidden');
+        this.updateCalibrationStatus(this.isCalibrated ? 'Calibrated' : 'Not calibrated');
+    }
+
+    selectCalibrationMethod(method) {
+        this.calibrationMethod = method === 'height' ? 'height' : 'reference';
+        localStorage.setItem('poseai_calibration_method', this.calibrationMethod);
+
+        const methodSelect = document.getElementById('calibration-method-select');
+        if (methodSelect) {
+            methodSelect.value = this.calibrationMethod;
+        }
+        ['reference-object-select', 'calibration-height'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.classList.toggle('hidden', (id === 'calibration-height') !== (this.calibrationMethod === 'height'));
+            }
+        });
+    }
+
+    async loadProfileHeight() {
+        const heightInput = document.getElementById('calibration-height');
+        const token = localStorage.getItem('poseai_token');
+        if (!heightInput || heightInput.value || !token) return;
+
+        try {
+            const response = await fetch('/api/user/profile', {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) return;
+
+            const user = await response.json();
+            if (user.profile && user.profile.height && !heightInput.value) {
+                heightInput.value = user.profile.height;
             }
+        } catch (error) {
+            console.error('Error loading profile height:', error);
         }
     }
 
+    selectReferenceObject(referenceId) {
+        if (!REFERENCE_OBJECTS[referenceId]) return;
+        this.referenceObject = referenceId;
+        localStorage.setItem('poseai_reference_object', referenceId);
+        
+        const overlayText = document.getElementById('calibration-reference');
+        if (overlayText) {
+            overlayText.textContent = REFERENCE_OBJECTS[referenceId].name;
+        }
+    }
+
+    // Lines for every landmark measurement the pose shows (body-landmarks.js), drawn by
+    // renderFrame(); while Measure is running the frame is also added to its capture
     measurementsWithPose(pose) {
-        const keypoints = pose.keypoints;
+        const capture = this.measurementCapture;
+        const { lines } = capture ? capture.addPose(pose) : LandmarkMeasurer.measure(pose);
+        this.measurementLines = lines;
+        if (!capture) return;
         
-        // Get key points for measurements
-        const leftShoulder = keypoints[5];
-        const rightShoulder = keypoints[6];
-        const leftElbow = keypoints[7];
-        const rightElbow = keypoints[8];
+        this.updateStatus(`Hold still... ${capture.framesSeen}/${capture.framesNeeded}`, 'measuring');
+        if (capture.done) {
+            this.finishMeasurementCapture();
+        }
+    }
+
+    // Circumferences need the body's outline from two sides. The user first steps out so the
+    // empty background can be captured, then faces the camera, then turns 90° to the side;
+    // each pose is held for a countdown and then read over several frames.
+    startCircumferenceCapture() {
+        if (!this.isCalibrated) {
+            this.updateStatus('Please calibrate first', 'error');
+            return;
+        }
+        if (!this.poseSource || !this.poseSource.videoElement) {
+            this.updateStatus('Circumferences need the camera or a video', 'error');
+            return;
+        }
         
-        if (leftShoulder.score > 0.5 && rightShoulder.score > 0.5) {
-            // Calculate chest width (shoulder width)
-            const chestWidth = Math.abs(rightShoulder.x - leftShoulder.x);
-            this.currentMeasurements.chest = chestWidth * this.scaleCmPerPixel;
-            
-            // Draw measurement line for chest
-            this.drawMeasurementLine(leftShoulder, rightShoulder, '#3b82f6');
+        this.cancelMeasurementCapture();
+        this.circumferenceCapture = { step: null, stepStart: null, background: null, fronts: [], sides: [] };
+        this.setCaptureStep('background');
+        document.getElementById('capture-overlay').classList.remove('hidden');
+    }
+
+    setCaptureStep(step) {
+        const capture = this.circumferenceCapture;
+        capture.step = step;
+        capture.stepStart = null; // set from the next frame's timestamp
+        
+        const steps = {
+            background: ['Step out of the frame', 'The empty background is captured once you are out of view'],
+            front: ['Face the camera', 'Hold your arms out from your sides, feet a little apart'],
+            side: ['Turn 90° to your side', 'Arms relaxed by your sides, stand tall']
+        };
+        document.getElementById('capture-step').textContent = steps[step][0];
+        document.getElementById('capture-detail').textContent = steps[step][1];
+        this.updateStatus(steps[step][0], 'measuring');
+    }
+
+    updateCircumferenceCapture(source, pose, timestamp) {
+        const capture = this.circumferenceCapture;
+        if (capture.stepStart === null) {
+            capture.stepStart = timestamp;
         }
         
-        if (leftShoulder.score > 0.5 && leftElbow.score > 0.5) {
-            // Calculate left bicep length
-            const leftBicepLength = Math.sqrt(
-                Math.pow(leftElbow.x - leftShoulder.x, 2) + 
-                Math.pow(leftElbow.y - leftShoulder.y, 2)
-            );
-            this.currentMeasurements.leftBicep = leftBicepLength * this.scaleCmPerPixel;
-            
-            // Draw measurement line for left bicep
-            this.drawMeasurementLine(leftShoulder, leftElbow, '#10b981');
+        // Time to get into position before anything is read
+        const countdown = Math.ceil((CIRCUMFERENCE_COUNTDOWN_MS - (timestamp - capture.stepStart)) / 1000);
+        if (countdown > 0) {
+            document.getElementById('capture-countdown').textContent = countdown;
+            return;
         }
+        document.getElementById('capture-countdown').textContent = '';
         
-        if (rightShoulder.score > 0.5 && rightElbow.score > 0.5) {
-            // Calculate right bicep length
-            const rightBicepLength = Math.sqrt(
-                Math.pow(rightElbow.x - rightShoulder.x, 2) + 
-                Math.pow(rightElbow.y - rightShoulder.y, 2)
-            );
-            this.currentMeasurements.rightBicep = rightBicepLength * this.scaleCmPerPixel;
-            
-            // Draw measurement line for right bicep
-            this.drawMeasurementLine(rightShoulder, rightElbow, '#8b5cf6');
+        const image = this.readFrame(source);
+        if (!image) return;
+        
+        if (capture.step === 'background') {
+            const inView = pose && pose.keypoints.filter(kp => kp.score > 0.3).length >= 5;
+            if (inView) return;
+            capture.background = image;
+            this.setCaptureStep('front');
+            return;
         }
+        if (!pose) return;
+        
+        const silhouette = Silhouette.fromBackground(image, capture.background);
+        const front = capture.step === 'front';
+        const spans = front
+            ? this.circumferenceEstimator.measureFront(silhouette, pose)
+            : this.circumferenceEstimator.measureSide(silhouette, pose);
+        if (!spans.chest) return; // torso not found against the background
+        
+        const frames = front ? capture.fronts : capture.sides;
+        frames.push(spans);
+        this.measurementLines = Object.values(spans)
+            .flatMap(span => [].concat(span))
+            .map(span => [span.from, span.to, front ? '#3b82f6' : '#ec4899']);
+        document.getElementById('capture-detail').textContent = `Hold still... ${frames.length}/${CIRCUMFERENCE_CAPTURE_FRAMES}`;
+        
+        if (frames.length < CIRCUMFERENCE_CAPTURE_FRAMES) return;
+        if (front) {
+            this.setCaptureStep('side');
+        } else {
+            this.finishCircumferenceCapture();
+        }
+    }
+
+    finishCircumferenceCapture() {
+        const capture = this.circumferenceCapture;
+        const results = this.circumferenceEstimator.combine(capture.fronts, capture.sides, this.scaleCmPerPixel);
+        this.circumferenceCapture = null;
+        this.measurementLines = [];
+        document.getElementById('capture-overlay').classList.add('hidden');
+        
+        Object.keys(CIRCUMFERENCE_SITES).forEach(site => {
+            const field = CIRCUMFERENCE_SITES[site].field;
+            const result = results[site];
+            this.setMeasurement(field, result ? {
+                value: result.value,
+                spread: result.spread,
+                confidence: measurementConfidence({ seenShare: result.seenShare, relativeSpread: result.spread / result.value })
+            } : null, this.fieldElementId(field));
+        });
+        
+        const missing = Object.keys(CIRCUMFERENCE_SITES).filter(site => !results[site]);
+        this.updateStatus(missing.length > 0
+            ? `Circumferences complete - couldn't see: ${missing.map(site => CIRCUMFERENCE_SITES[site].name.toLowerCase()).join(', ')}`
+            : 'Circumferences complete', 'ready');
+        this.addToHistory();
+    }
+
+    cancelCircumferenceCapture() {
+        if (!this.circumferenceCapture) return;
+        this.circumferenceCapture = null;
+        this.measurementLines = [];
+        document.getElementById('capture-overlay').classList.add('hidden');
+    }
+
+    // chestCircumference -> chest-circumference, leftBicep -> left-bicep
+    fieldElementId(field) {
+        return field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    }
+
+    // measurement: { value, spread, confidence } in cm, or null when it couldn't be measured
+    setMeasurement(field, measurement, elementId) {
+        this.currentMeasurements[field] = measurement ? measurement.value : null;
+        if (measurement) {
+            this.measurementQuality[field] = { spread: measurement.spread, confidence: measurement.confidence };
+        } else {
+            delete this.measurementQuality[field];
+        }
+        
+        const element = document.getElementById(elementId);
+        element.textContent = measurement
+            ? `${measurement.value.toFixed(1)} ± ${measurement.spread.toFixed(1)} cm · ${Math.round(measurement.confidence * 100)}%`
+            : '-- cm';
+        element.title = measurement ? `${Math.round(measurement.confidence * 100)}% confidence` : '';
+        element.classList.toggle('text-yellow-400', Boolean(measurement) && measurement.confidence < LOW_CONFIDENCE);
+    }
+
+    // Average confidence of the values that would be saved
+    overallConfidence() {
+        const confidences = Object.keys(this.measurementQuality)
+            .filter(field => this.currentMeasurements[field])
+            .map(field => this.measurementQuality[field].confidence);
+        return confidences.length > 0 ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length : 0;
+    }
+
+    // Where the frames came from, for the saved metadata
+    deviceInfo() {
+        const source = this.poseSource;
+        const video = source && source.videoElement;
+        const input = !source ? 'unknown' : source.isLive ? 'camera' : video ? 'video file' : 'replay';
+        const resolution = video && video.videoWidth ? ` ${video.videoWidth}x${video.videoHeight}` : '';
+        return `${input}${resolution}; ${navigator.userAgent}`;
     }
 
     drawMeasurementLine(point1, point2, color) {
@@ -319,13 +776,31 @@ class BodyMeasurement {
             return;
         }
         
-        this.isCalibrating = true;
-        this.calibrationFrames = [];
+        if (this.calibrationMethod === 'height') {
+            const heightInput = document.getElementById('calibration-height');
+            try {
+                this.calibration = new HeightCalibration(parseFloat(heightInput.value));
+            } catch (error) {
+                this.updateStatus(error.message, 'error');
+                return;
+            }
+            this.updateCalibrationStatus('Calibrating...');
+            this.updateStatus('Stand straight with your whole body in frame', 'calibrating');
+            return;
+        }
+        
+        if (!this.poseSource.videoElement) {
+            this.updateStatus('Reference calibration needs the camera or a video', 'error');
+            return;
+        }
+        
+        this.calibration = new ReferenceCalibration(this.referenceObject);
+        this.selectReferenceObject(this.referenceObject);
         
         // Show calibration overlay
         document.getElementById('calibration-overlay').classList.remove('hidden');
         this.updateCalibrationStatus('Calibrating...');
-        this.updateStatus('Stand with arms extended for calibration', 'calibrating');
+        this.updateStatus(`Hold the ${this.calibration.reference.name.toLowerCase()} flat against your chest inside the box`, 'calibrating');
     }
 
     takeMeasurement() {
@@ -334,36 +809,45 @@ class BodyMeasurement {
             return;
         }
         
-        this.updateStatus('Taking measurements...', 'measuring');
+        if (this.measurementCapture || this.circumferenceCapture) return;
         
-        // Update display with current measurements
-        if (this.currentMeasurements.chest) {
-            document.getElementById('chest-measurement').textContent = 
-                `${this.currentMeasurements.chest.toFixed(1)} cm`;
-        }
-        
-        if (this.currentMeasurements.leftBicep) {
-            document.getElementById('left-bicep-measurement').textContent = 
-                `${this.currentMeasurements.leftBicep.toFixed(1)} cm`;
-        }
+        // Single frames jitter, so each measurement is the median over a window of frames
+        this.measurementCapture = new LandmarkCapture(this.scaleCmPerPixel, { frames: MEASUREMENT_CAPTURE_FRAMES });
+        document.getElementById('measure-btn').disabled = true;
+        this.updateStatus('Taking measurements - hold still...', 'measuring');
+    }
+
+    finishMeasurementCapture() {
+        const result = this.measurementCapture.result();
+        this.measurementCapture = null;
+        document.getElementById('measure-btn').disabled = false;
         
-        if (this.currentMeasurements.rightBicep) {
-            document.getElementById('right-bicep-measurement').textContent = 
-                `${this.currentMeasurements.rightBicep.toFixed(1)} cm`;
-        }
+        LANDMARK_MEASUREMENTS.forEach(({ field }) => {
+            this.setMeasurement(field, result.measurements[field] || null, `${this.fieldElementId(field)}-measurement`);
+        });
+        this.captureInfo = { frames: result.frames, poseConfidence: result.poseConfidence, deviceInfo: this.deviceInfo() };
         
-        this.updateStatus('Measurements complete', 'ready');
+        const missing = LANDMARK_MEASUREMENTS.filter(({ field }) => !result.measurements[field]);
+        const rejected = Object.values(result.measurements).reduce((sum, measurement) => sum + measurement.rejectedFrames, 0);
+        this.updateStatus(missing.length > 0
+            ? `Measurements complete - couldn't see: ${missing.map(({ name }) => name.toLowerCase()).join(', ')}`
+            : `Measurements complete over ${result.frames} frames${rejected > 0 ? `, ${rejected} outlier readings dropped` : ''}`, 'ready');
         
         // Add to history
         this.addToHistory();
     }
 
+    cancelMeasurementCapture() {
+        if (!this.measurementCapture) return;
+        this.measurementCapture = null;
+        document.getElementById('measure-btn').disabled = !this.isCalibrated || !this.poseSource;
+    }
+
     addToHistory() {
         const measurement = {
             timestamp: new Date().toISOString(),
-            chest: this.currentMeasurements.chest,
-            leftBicep: this.currentMeasurements.leftBicep,
-            rightBicep: this.currentMeasurements.rightBicep
+            ...this.currentMeasurements,
+            quality: { ...this.measurementQuality }
         };
         
         this.measurementHistory.unshift(measurement);
@@ -388,16 +872,25 @@ class BodyMeasurement {
         historyContainer.innerHTML = this.measurementHistory.map((measurement, index) => {
             const date = new Date(measurement.timestamp);
             const timeString = date.toLocaleTimeString();
+            // Entries saved before captures reported quality have none
+            const quality = measurement.quality || {};
+            const values = MEASUREMENT_FIELDS
+                .filter(({ field }) => measurement[field])
+                .map(({ field, name }) => {
+                    const fieldQuality = quality[field];
+                    const title = fieldQuality ? ` title="± ${fieldQuality.spread.toFixed(1)} cm, ${Math.round(fieldQuality.confidence * 100)}% confidence"` : '';
+                    const color = fieldQuality && fieldQuality.confidence < LOW_CONFIDENCE ? 'text-yellow-400' : 'text-blue-400';
+                    return `<span class="whitespace-nowrap"${title}>${name}: <span class="${color}">${measurement[field].toFixed(1)}</span></span>`;
+                });
             
             return `
                 <div class="glassmorphism p-3 rounded-lg">
-                    <div class="flex justify-between items-center">
+                    <div class="flex justify-between items-center mb-1">
                         <span class="text-sm text-gray-300">${timeString}</span>
-                        <div class="text-sm">
-                            <span class="text-blue-400">C: ${measurement.chest?.toFixed(1) || '--'}cm</span>
-                            <span class="text-green-400 ml-2">L: ${measurement.leftBicep?.toFixed(1) || '--'}cm</span>
-                            <span class="text-purple-400 ml-2">R: ${measurement.rightBicep?.toFixed(1) || '--'}cm</span>
-                        </div>
+                        <span class="text-xs text-gray-400">cm</span>
+                    </div>
+                    <div class="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+                        ${values.length > 0 ? values.join('') : '<span class="text-gray-400">No values</span>'}
                     </div>
                 </div>
             `;
@@ -412,7 +905,9 @@ class BodyMeasurement {
         const saved = localStorage.getItem('poseai_measurements');
         if (saved) {
             try {
-                this.measurementHistory = JSON.parse(saved);
+                // Entries from before shoulder width had its own field stored it as chest
+                this.measurementHistory = JSON.parse(saved).map(({ chest, ...measurement }) =>
+                    chest && !measurement.shoulderWidth ? { ...measurement, shoulderWidth: chest } : measurement);
                 this.updateHistoryDisplay();
             } catch (error) {
                 console.error('Error loading measurement history:', error);
@@ -421,7 +916,7 @@ class BodyMeasurement {
     }
 
     async saveMeasurementsToServer() {
-        if (!this.currentMeasurements.chest && !this.currentMeasurements.leftBicep && !this.currentMeasurements.rightBicep) {
+        if (!Object.values(this.currentMeasurements).some(Boolean)) {
             this.updateStatus('No measurements to save', 'error');
             return;
         }
@@ -433,11 +928,28 @@ class BodyMeasurement {
                 return;
             }
             
+            const quality = {};
+            Object.keys(this.measurementQuality).forEach(field => {
+                if (this.currentMeasurements[field]) quality[field] = this.measurementQuality[field];
+            });
+            
             const measurementData = {
-                chest: this.currentMeasurements.chest,
-                leftBicep: this.currentMeasurements.leftBicep,
-                rightBicep: this.currentMeasurements.rightBicep,
+                ...this.currentMeasurements,
+                measurementType: measurementTypeFor(this.currentMeasurements),
                 scaleCmPerPixel: this.scaleCmPerPixel,
+                confidence: this.overallConfidence(),
+                quality,
+                metadata: {
+                    ...this.poseModels.metadata(),
+                    poseConfidence: this.captureInfo ? this.captureInfo.poseConfidence : undefined,
+                    captureFrames: this.captureInfo ? this.captureInfo.frames : undefined,
+                    deviceInfo: this.captureInfo ? this.captureInfo.deviceInfo : this.deviceInfo(),
+                    calibrationMethod: this.calibrationResult.method,
+                    calibrationReference: this.calibrationResult.reference,
+                    calibrationHeight: this.calibrationResult.heightCm,
+                    calibrationError: this.calibrationResult.errorPercent,
+                    calibrationFrames: this.calibrationResult.frames
+                },
                 timestamp: new Date().toISOString()
             };
             
@@ -454,13 +966,15 @@ class BodyMeasurement {
                 this.updateStatus('Measurements saved successfully', 'ready');
                 this.showNotification('Measurements saved to your profile!', 'success');
             } else {
-                throw new Error('Failed to save measurements');
+                // Out-of-range values come back with the field that failed validation
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Failed to save measurements');
             }
             
         } catch (error) {
             console.error('Error saving measurements:', error);
             this.updateStatus('Failed to save measurements', 'error');
-            this.showNotification('Failed to save measurements', 'error');
+            this.showNotification(error.message || 'Failed to save measurements', 'error');
         }
     }
 
@@ -513,8 +1027,46 @@ function takeMeasurement() {
     }
 }
 
+function measureCircumferences() {
+    if (bodyMeasurement) {
+        bodyMeasurement.startCircumferenceCapture();
+    }
+}
+
 function saveMeasurements() {
     if (bodyMeasurement) {
         bodyMeasurement.saveMeasurementsToServer();
     }
 }
+
+function selectCalibrationMethod(method) {
+    if (bodyMeasurement) {
+        bodyMeasurement.selectCalibrationMethod(method);
+    }
+}
+
+function selectReferenceObject(referenceId) {
+    if (bodyMeasurement) {
+        bodyMeasurement.selectReferenceObject(referenceId);
+    }
+}
+
+function selectMeasurementModel(modelId) {
+    if (bodyMeasurement) {
+        bodyMeasurement.selectPoseModel(modelId);
+    }
+}
+
+function loadMeasurementVideo(input) {
+    if (bodyMeasurement && input.files.length > 0) {
+        bodyMeasurement.startVideoFile(input.files[0]);
+    }
+    input.value = '';
+}
+
+function replayMeasurementRecording(input) {
+    if (bodyMeasurement && input.files.length > 0) {
+        bodyMeasurement.replayFile(input.files[0], { speed: 1 });
+    }
+    input.value = '';
+}
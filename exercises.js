@@ -0,0 +1,928 @@
+// Exercise definitions and rep-counting engine for PoseAI
+//
+// Each exercise registers a definition describing which joints it watches,
+// the angle thresholds it uses, how those angles map to movement phases and
+// which form rules apply. PoseAI drives whichever definition is active through
+// an ExerciseEngine, so new movements can be added by calling
+// exerciseRegistry.register() from any script loaded after this one.
+//
+// Joints are declared with left-side keypoints; the engine measures the
+// mirrored right-side joint too and uses whichever side the camera sees best.
+
+// MoveNet keypoint indices
+const KEYPOINTS = {
+    nose: 0,
+    leftEye: 1,
+    rightEye: 2,
+    leftEar: 3,
+    rightEar: 4,
+    leftShoulder: 5,
+    rightShoulder: 6,
+    leftElbow: 7,
+    rightElbow: 8,
+    leftWrist: 9,
+    rightWrist: 10,
+    leftHip: 11,
+    rightHip: 12,
+    leftKnee: 13,
+    rightKnee: 14,
+    leftAnkle: 15,
+    rightAnkle: 16
+};
+
+const PoseMath = {
+    // Interior angle at b (degrees, 0-180) formed by the segments b->a and b->c
+    angle(a, b, c) {
+        const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
+        let degrees = Math.abs(radians * (180 / Math.PI));
+        if (degrees > 180) {
+            degrees = 360 - degrees;
+        }
+        return degrees;
+    },
+
+    distance(a, b) {
+        return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+    },
+
+    midpoint(a, b) {
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            score: Math.min(a.score, b.score)
+        };
+    },
+
+    // Tilt (degrees) of the lower->upper segment away from straight up
+    inclineFromVertical(lower, upper) {
+        return Math.abs(Math.atan2(upper.x - lower.x, lower.y - upper.y) * (180 / Math.PI));
+    },
+
+    isConfident(keypoints, indices, minScore = 0.3) {
+        return indices.every(index => keypoints[index] && keypoints[index].score > minScore);
+    },
+
+    averageScore(keypoints, indices) {
+        return indices.reduce((sum, index) => sum + (keypoints[index] ? keypoints[index].score : 0), 0) / indices.length;
+    },
+
+    // The same keypoint on the other side of the body (the nose maps to itself)
+    mirror(index) {
+        if (index === KEYPOINTS.nose) return index;
+        return index % 2 === 1 ? index + 1 : index - 1;
+    },
+
+    // Left-side indices, or their right-side mirrors, whichever the camera sees more clearly
+    visibleSide(keypoints, leftIndices) {
+        const rightIndices = leftIndices.map(PoseMath.mirror);
+        return PoseMath.averageScore(keypoints, rightIndices) > PoseMath.averageScore(keypoints, leftIndices)
+            ? rightIndices
+            : leftIndices;
+    },
+
+    // Facing the camera when the shoulders are wide relative to the torso; side-on they overlap
+    isFrontal(keypoints, minScore = 0.3) {
+        const indices = [KEYPOINTS.leftShoulder, KEYPOINTS.rightShoulder, KEYPOINTS.leftHip, KEYPOINTS.rightHip];
+        if (!PoseMath.isConfident(keypoints, indices, minScore)) return false;
+
+        const shoulders = PoseMath.midpoint(keypoints[KEYPOINTS.leftShoulder], keypoints[KEYPOINTS.rightShoulder]);
+        const hips = PoseMath.midpoint(keypoints[KEYPOINTS.leftHip], keypoints[KEYPOINTS.rightHip]);
+        const shoulderWidth = Math.abs(keypoints[KEYPOINTS.leftShoulder].x - keypoints[KEYPOINTS.rightShoulder].x);
+        const torsoLength = PoseMath.distance(shoulders, hips);
+
+        return torsoLength > 0 && shoulderWidth / torsoLength > 0.5;
+    }
+};
+
+class ExerciseRegistry {
+    constructor() {
+        this.definitions = new Map();
+    }
+
+    register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Exercise definition requires an id');
+        }
+
+        this.definitions.set(definition.id, {
+            mode: 'reps',
+            joints: {},
+            thresholds: {},
+            // threshold name -> margin (signed towards stricter) a reading must clear to enter a phase;
+            // leaving the current phase only takes the unshifted threshold, so each boundary is a band
+            hysteresis: {},
+            phases: null,
+            formRules: [],
+            phaseFeedback: {},
+            cues: {},
+            // Spoken script (voice-coach.js): { start, rep(count, target), milestones, formRules }.
+            // milestones are keyed by rep count, or by seconds held for holds; formRules maps
+            // rule ids to shorter spoken versions of their messages.
+            coaching: {},
+            straightnessJoint: null, // joint whose angle should stay near 180 (scored as back straightness)
+            met: { light: 3.8, vigorous: 8.0, cadence: 30 }, // MET range, and the reps/min that counts as vigorous
+            minScore: 0.3,
+            ...definition
+        });
+    }
+
+    get(id) {
+        return this.definitions.get(id) || null;
+    }
+
+    has(id) {
+        return this.definitions.has(id);
+    }
+
+    list() {
+        return Array.from(this.definitions.values());
+    }
+}
+
+// Runs a single exercise definition against a stream of poses
+class ExerciseEngine {
+    constructor(definition) {
+        this.definition = definition;
+        this.entryThresholds = ExerciseEngine.shiftThresholds(definition.thresholds, definition.hysteresis);
+        this.reset();
+    }
+
+    static shiftThresholds(thresholds, margins = {}) {
+        const shifted = { ...thresholds };
+        Object.entries(margins).forEach(([name, margin]) => {
+            if (shifted[name] !== undefined) {
+                shifted[name] += margin;
+            }
+        });
+        return shifted;
+    }
+
+    reset() {
+        this.reps = 0;
+        this.phase = null;
+        this.metrics = {};
+        this.violations = [];
+        this.currentRep = null;
+        this.repHistory = [];
+        this.alertCounts = {};
+        this.sides = {};
+        this.asymmetry = {};
+        this.asymmetryStats = {};
+        this.inPosition = false;
+        this.hold = {
+            active: false,
+            startTime: null,
+            lastTimestamp: null,
+            lastValidTime: null,
+            current: 0,
+            longest: 0,
+            total: 0,
+            count: 0
+        };
+    }
+
+    // Frames stopped for a while (e.g. a paused set): the hold in progress ends and a
+    // half-finished rep is dropped instead of being stretched across the gap
+    interrupt() {
+        this.phase = null;
+        this.currentRep = null;
+        this.inPosition = false;
+        this.hold.active = false;
+        this.hold.startTime = null;
+        this.hold.current = 0;
+    }
+
+    jointAngle(keypoints, [a, b, c]) {
+        if (!PoseMath.isConfident(keypoints, [a, b, c], this.definition.minScore)) return null;
+        return PoseMath.angle(keypoints[a], keypoints[b], keypoints[c]);
+    }
+
+    // Joint angles declared by the definition, measured on both sides of the body.
+    // Facing the camera both sides are averaged; side-on the clearer side wins.
+    measureJoints(keypoints) {
+        const angles = {};
+        const frontal = PoseMath.isFrontal(keypoints, this.definition.minScore);
+        this.sides = {};
+        this.asymmetry = {};
+
+        for (const [name, leftIndices] of Object.entries(this.definition.joints)) {
+            const rightIndices = leftIndices.map(PoseMath.mirror);
+            const left = this.jointAngle(keypoints, leftIndices);
+            const right = this.jointAngle(keypoints, rightIndices);
+
+            if (left !== null && right !== null) {
+                this.recordAsymmetry(name, Math.abs(left - right));
+
+                if (frontal) {
+                    angles[name] = (left + right) / 2;
+                    this.sides[name] = 'both';
+                } else if (PoseMath.averageScore(keypoints, rightIndices) > PoseMath.averageScore(keypoints, leftIndices)) {
+                    angles[name] = right;
+                    this.sides[name] = 'right';
+                } else {
+                    angles[name] = left;
+                    this.sides[name] = 'left';
+                }
+            } else if (left !== null || right !== null) {
+                angles[name] = left !== null ? left : right;
+                this.sides[name] = left !== null ? 'left' : 'right';
+            } else if (this.metrics[name] !== undefined) {
+                // Hold the last reliable reading rather than dropping to nothing
+                angles[name] = this.metrics[name];
+            }
+        }
+
+        return angles;
+    }
+
+    recordAsymmetry(name, difference) {
+        const stats = this.asymmetryStats[name] || { total: 0, count: 0, max: 0 };
+        stats.total += difference;
+        stats.count++;
+        stats.max = Math.max(stats.max, difference);
+        this.asymmetryStats[name] = stats;
+        this.asymmetry[name] = difference;
+    }
+
+    // Average and worst left/right angle difference (degrees) per joint over the set
+    asymmetrySummary() {
+        const summary = {};
+        for (const [name, stats] of Object.entries(this.asymmetryStats)) {
+            summary[name] = {
+                average: Math.round(stats.total / stats.count * 10) / 10,
+                max: Math.round(stats.max * 10) / 10
+            };
+        }
+        return summary;
+    }
+
+    update(pose, timestamp = Date.now()) {
+        const definition = this.definition;
+        const keypoints = pose.keypoints;
+        const result = {
+            metrics: {},
+            phase: this.phase,
+            phaseChanged: false,
+            repCompleted: false,
+            partialRep: false,
+            rep: null,
+            reps: this.reps,
+            violations: [],
+            cue: null,
+            feedback: []
+        };
+
+        const metrics = this.measureJoints(keypoints);
+        if (definition.measure) {
+            Object.assign(metrics, definition.measure(keypoints, metrics, definition.thresholds));
+        }
+        this.metrics = metrics;
+        result.metrics = metrics;
+        result.sides = this.sides;
+        result.asymmetry = this.asymmetry;
+
+        const previousViolations = new Set(this.violations.map(rule => rule.id));
+
+        // Form rules only fire once every metric they read is available, and only in their phases
+        this.violations = definition.formRules.filter(rule => {
+            const needs = rule.metrics || [];
+            if (needs.some(name => metrics[name] === undefined || metrics[name] === null)) {
+                return false;
+            }
+            if (rule.phases && !rule.phases.includes(this.phase)) {
+                return false;
+            }
+            return rule.test(metrics, definition.thresholds, keypoints);
+        });
+        result.violations = this.violations;
+
+        // Count each time a rule starts firing, not every frame it stays on
+        this.violations.forEach(rule => {
+            if (!previousViolations.has(rule.id)) {
+                this.alertCounts[rule.id] = (this.alertCounts[rule.id] || 0) + 1;
+            }
+        });
+
+        if (definition.mode === 'hold') {
+            // Getting into position uses the stricter entry thresholds, staying in it the normal ones
+            const thresholds = this.inPosition ? definition.thresholds : this.entryThresholds;
+            const inPosition = definition.hold.inPosition(metrics, thresholds, keypoints);
+            this.inPosition = inPosition;
+            result.inPosition = inPosition;
+            result.hold = this.updateHold(inPosition && this.violations.length === 0, timestamp);
+        }
+
+        if (definition.phases) {
+            const phases = definition.phases;
+
+            // Hysteresis: the current phase holds for as long as the base thresholds still classify
+            // it, and a new one is only entered past the shifted entry thresholds, so a reading
+            // hovering at a threshold can't flip the phase back and forth
+            const held = phases.classify(metrics, definition.thresholds, keypoints, this.violations);
+            const nextPhase = held === this.phase
+                ? held
+                : phases.classify(metrics, this.entryThresholds, keypoints, this.violations);
+
+            if (nextPhase && nextPhase !== this.phase) {
+                const previousPhase = this.phase;
+                this.phase = nextPhase;
+                result.phase = nextPhase;
+                result.phaseChanged = true;
+                result.cue = definition.cues[nextPhase] || null;
+
+                if (nextPhase === phases.start) {
+                    // A rep is the round trip from the start phase out to the target phase and back
+                    if (this.currentRep) {
+                        const rep = this.finishRep(timestamp);
+                        result.rep = rep;
+                        if (rep.valid) {
+                            this.reps++;
+                            result.repCompleted = true;
+                            result.reps = this.reps;
+                            result.cadence = this.cadence();
+                        } else {
+                            result.partialRep = true;
+                        }
+                    }
+                } else if (!this.currentRep && previousPhase === phases.start) {
+                    this.startRep(timestamp);
+                }
+            }
+
+            if (this.currentRep) {
+                this.trackRep(nextPhase || this.phase);
+            }
+        }
+
+        if (this.violations.length > 0) {
+            result.feedback = this.violations.map(rule => rule.message);
+        } else if (definition.mode === 'hold' && !result.inPosition) {
+            result.feedback = [definition.hold.outOfPositionMessage || 'Get into position'];
+        } else if (result.partialRep) {
+            result.feedback = [this.partialMessage(result.rep)];
+        } else if (this.phase && definition.phaseFeedback[this.phase]) {
+            result.feedback = [definition.phaseFeedback[this.phase]];
+        } else if (definition.defaultFeedback) {
+            result.feedback = [definition.defaultFeedback];
+        }
+
+        return result;
+    }
+
+    // Time under tension: the hold timer only runs while the position is valid.
+    // Short dropouts within the grace period pause the timer without ending the hold.
+    updateHold(valid, timestamp) {
+        const hold = this.hold;
+        const graceMs = this.definition.hold.graceMs || 0;
+
+        if (valid) {
+            if (hold.startTime === null) {
+                hold.startTime = timestamp;
+                hold.count++;
+            } else if (hold.active) {
+                hold.total += (timestamp - hold.lastTimestamp) / 1000;
+            }
+            hold.lastValidTime = timestamp;
+            hold.current = (timestamp - hold.startTime) / 1000;
+            hold.longest = Math.max(hold.longest, hold.current);
+        } else if (hold.startTime !== null && timestamp - hold.lastValidTime > graceMs) {
+            hold.startTime = null;
+            hold.current = 0;
+        }
+
+        hold.active = valid;
+        hold.lastTimestamp = timestamp;
+
+        return {
+            active: hold.active,
+            current: hold.current,
+            longest: hold.longest,
+            total: hold.total
+        };
+    }
+
+    holdSummary() {
+        return {
+            totalHold: Math.round(this.hold.total * 10) / 10,
+            longestHold: Math.round(this.hold.longest * 10) / 10,
+            holdCount: this.hold.count,
+            events: { ...this.alertCounts }
+        };
+    }
+
+    startRep(timestamp) {
+        this.currentRep = {
+            startTime: timestamp,
+            phases: new Set(),
+            issues: new Set(),
+            min: {},
+            max: {}
+        };
+    }
+
+    // Keep the extremes of every metric and every form issue seen during the rep
+    trackRep(phase) {
+        const rep = this.currentRep;
+        rep.phases.add(phase);
+
+        for (const [name, value] of Object.entries(this.metrics)) {
+            if (typeof value !== 'number') continue;
+            rep.min[name] = rep.min[name] === undefined ? value : Math.min(rep.min[name], value);
+            rep.max[name] = rep.max[name] === undefined ? value : Math.max(rep.max[name], value);
+        }
+
+        this.violations.forEach(rule => rep.issues.add(rule.id));
+    }
+
+    finishRep(timestamp) {
+        const definition = this.definition;
+        const current = this.currentRep;
+        const valid = current.phases.has(definition.phases.target);
+        const issues = Array.from(current.issues);
+        const metrics = definition.summarizeRep ? definition.summarizeRep(current, definition.thresholds) : {};
+
+        // partialIssue may be a fixed id or a function of the rep summary returning one or more ids
+        let partialIssue = definition.phases.partialIssue;
+        if (typeof partialIssue === 'function') {
+            partialIssue = partialIssue(metrics, definition.thresholds);
+        }
+        if (!valid && partialIssue) {
+            issues.push(...[].concat(partialIssue));
+        }
+
+        const rep = {
+            number: this.repHistory.length + 1,
+            valid,
+            startTime: current.startTime,
+            endTime: timestamp,
+            duration: (timestamp - current.startTime) / 1000,
+            issues,
+            metrics
+        };
+
+        this.repHistory.push(rep);
+        this.currentRep = null;
+        return rep;
+    }
+
+    partialMessage(rep) {
+        const message = this.definition.phases && this.definition.phases.partialMessage;
+        if (typeof message === 'function') {
+            return message(rep.metrics, this.definition.thresholds);
+        }
+        return message || 'Incomplete rep';
+    }
+
+    // Longest run of valid reps without a long rest, and the average valid rep duration
+    static summarizeReps(reps, maxRestMs = 5000) {
+        const valid = reps.filter(rep => rep.valid);
+        let streak = 0;
+        let maxConsecutiveReps = 0;
+        let lastEndTime = null;
+
+        reps.forEach(rep => {
+            if (!rep.valid) {
+                streak = 0;
+                lastEndTime = null;
+                return;
+            }
+            streak = lastEndTime !== null && rep.startTime - lastEndTime <= maxRestMs ? streak + 1 : 1;
+            lastEndTime = rep.endTime;
+            maxConsecutiveReps = Math.max(maxConsecutiveReps, streak);
+        });
+
+        const totalDuration = valid.reduce((sum, rep) => sum + rep.duration, 0);
+
+        return {
+            maxConsecutiveReps,
+            averageRepDuration: valid.length > 0 ? Math.round(totalDuration / valid.length * 100) / 100 : 0
+        };
+    }
+
+    // Compare the opening and closing thirds of a set's form scores
+    static formTrend(scores, tolerance = 5) {
+        if (scores.length < 6) return 'stable';
+
+        const third = Math.floor(scores.length / 3);
+        const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const change = average(scores.slice(-third)) - average(scores.slice(0, third));
+
+        if (change > tolerance) return 'improving';
+        if (change < -tolerance) return 'declining';
+        return 'stable';
+    }
+
+    // Reps per minute across the most recent valid reps
+    cadence(windowSize = 10) {
+        const recent = this.repHistory.filter(rep => rep.valid).slice(-windowSize);
+        if (recent.length < 2) return 0;
+
+        const minutes = (recent[recent.length - 1].endTime - recent[0].endTime) / 60000;
+        return minutes > 0 ? (recent.length - 1) / minutes : 0;
+    }
+
+    // Skeleton edges ('a,b' keys) that the active violations want highlighted
+    highlightedEdges() {
+        const edges = new Set();
+        this.violations.forEach(rule => {
+            (rule.edges || []).forEach(edge => edges.add(edge));
+        });
+        return edges;
+    }
+}
+
+// Calorie estimates from MET values (Compendium of Physical Activities).
+// The working MET sits between the exercise's light and vigorous values according
+// to pace (cadence against the definition's reference cadence). Only the share of
+// the session spent moving is charged at that rate; the rest counts as standing rest.
+const CalorieMath = {
+    REST_MET: 1.3,
+    DEFAULT_WEIGHT_KG: 70,
+
+    // activity: { duration (seconds), reps, cadence (reps/min while moving), holdSeconds }.
+    // A null definition is a rest period.
+    met(definition, activity) {
+        const minutes = activity.duration / 60;
+        if (!definition || !(minutes > 0)) return this.REST_MET;
+        const met = definition.met;
+
+        let pace = 1;
+        let activeShare;
+        if (definition.mode === 'hold') {
+            // Holds are charged at the vigorous value for the time actually held
+            activeShare = (activity.holdSeconds || 0) / activity.duration;
+        } else {
+            // Cadence is the pace during a set; reps per minute also counts the rests between sets
+            const repsPerMinute = (activity.reps || 0) / minutes;
+            const cadence = activity.cadence > 0 ? activity.cadence : repsPerMinute;
+            pace = met.cadence > 0 ? cadence / met.cadence : 1;
+            activeShare = cadence > 0 ? repsPerMinute / cadence : 0;
+        }
+
+        pace = Math.max(0, Math.min(1, pace));
+        activeShare = Math.max(0, Math.min(1, activeShare));
+        const workingMet = met.light + (met.vigorous - met.light) * pace;
+        return this.REST_MET + (workingMet - this.REST_MET) * activeShare;
+    },
+
+    // kcal/min = MET x 3.5 x kg / 200. METs assume a 3.5 ml/kg/min resting rate, which
+    // falls by roughly 2% a decade after 30, so the estimate is scaled down with age.
+    estimate(definition, activity, profile = {}) {
+        const weight = profile.weight > 0 ? profile.weight : this.DEFAULT_WEIGHT_KG;
+        const ageFactor = profile.age > 30 ? Math.max(0.8, 1 - (profile.age - 30) * 0.002) : 1;
+        const minutes = activity.duration / 60;
+        if (!(minutes > 0)) return 0;
+
+        return Math.round(this.met(definition, activity) * 3.5 * weight / 200 * minutes * ageFactor);
+    }
+};
+
+const exerciseRegistry = new ExerciseRegistry();
+
+// Built-in exercises
+
+exerciseRegistry.register({
+    id: 'pushups',
+    name: 'Push-ups',
+    joints: {
+        elbow: [KEYPOINTS.leftShoulder, KEYPOINTS.leftElbow, KEYPOINTS.leftWrist],
+        back: [KEYPOINTS.leftShoulder, KEYPOINTS.leftHip, KEYPOINTS.leftKnee]
+    },
+    thresholds: {
+        upElbow: 160,     // arms locked out
+        downElbow: 100,   // chest near the floor
+        straightBack: 160 // shoulder-hip-knee line
+    },
+    hysteresis: {
+        upElbow: 5,   // 'up' is entered above 165° and left below 160°
+        downElbow: -5 // 'down' is entered below 95° and left above 100°
+    },
+    met: { light: 3.8, vigorous: 8.0, cadence: 30 },
+    phases: {
+        start: 'up',
+        target: 'down',
+        classify(m, t, keypoints, violations) {
+            if (m.elbow === undefined) return null;
+            if (m.elbow > t.upElbow) return 'up';
+
+            // Only count the bottom when the body is low enough and the back is held straight
+            const [elbow] = PoseMath.visibleSide(keypoints, [KEYPOINTS.leftElbow]);
+            const headBelowElbow = keypoints[KEYPOINTS.nose].y > keypoints[elbow].y;
+            if (m.elbow < t.downElbow && headBelowElbow && violations.length === 0) return 'down';
+
+            return null;
+        }
+    },
+    formRules: [
+        {
+            id: 'back-straight',
+            message: 'Keep your back straight',
+            metrics: ['back'],
+            edges: ['5,11', '6,12', '11,13', '12,14'],
+            test: (m, t) => m.back < t.straightBack
+        }
+    ],
+    straightnessJoint: 'back',
+    phaseFeedback: {
+        up: 'Good up position'
+    },
+    cues: {
+        down: 'Up'
+    },
+    coaching: {
+        start: 'Get into push-up position, arms straight',
+        formRules: {
+            'back-straight': 'Straighten your back'
+        }
+    }
+});
+
+exerciseRegistry.register({
+    id: 'squats',
+    name: 'Squats',
+    joints: {
+        knee: [KEYPOINTS.leftHip, KEYPOINTS.leftKnee, KEYPOINTS.leftAnkle],
+        hip: [KEYPOINTS.leftShoulder, KEYPOINTS.leftHip, KEYPOINTS.leftKnee]
+    },
+    thresholds: {
+        standingKnee: 160,  // legs straight
+        descentKnee: 140,   // squat has started
+        depthKnee: 100,     // thighs roughly parallel to the floor
+        maxTorsoLean: 45,   // degrees from vertical
+        minKneeSpread: 0.8  // knee gap as a fraction of ankle gap
+    },
+    hysteresis: {
+        standingKnee: 5,  // 'up' is entered above 165° and left below 160°
+        descentKnee: -5,  // 'descending' is entered below 135° and left above 140°
+        depthKnee: -5     // 'down' is entered below 95° and left above 100°
+    },
+    met: { light: 3.5, vigorous: 8.0, cadence: 25 },
+    measure(keypoints) {
+        const metrics = { torsoLean: null, kneeSpread: null };
+        const k = KEYPOINTS;
+
+        if (PoseMath.isConfident(keypoints, [k.leftShoulder, k.rightShoulder, k.leftHip, k.rightHip])) {
+            const shoulders = PoseMath.midpoint(keypoints[k.leftShoulder], keypoints[k.rightShoulder]);
+            const hips = PoseMath.midpoint(keypoints[k.leftHip], keypoints[k.rightHip]);
+            metrics.torsoLean = PoseMath.inclineFromVertical(hips, shoulders);
+        } else {
+            const [shoulder, hip] = PoseMath.visibleSide(keypoints, [k.leftShoulder, k.leftHip]);
+            if (PoseMath.isConfident(keypoints, [shoulder, hip])) {
+                metrics.torsoLean = PoseMath.inclineFromVertical(keypoints[hip], keypoints[shoulder]);
+            }
+        }
+
+        // Knee tracking can only be judged when facing the camera
+        if (PoseMath.isFrontal(keypoints) &&
+            PoseMath.isConfident(keypoints, [k.leftKnee, k.rightKnee, k.leftAnkle, k.rightAnkle])) {
+            const ankleGap = Math.abs(keypoints[k.leftAnkle].x - keypoints[k.rightAnkle].x);
+            const kneeGap = Math.abs(keypoints[k.leftKnee].x - keypoints[k.rightKnee].x);
+            if (ankleGap > 0) {
+                metrics.kneeSpread = kneeGap / ankleGap;
+            }
+        }
+
+        return metrics;
+    },
+    phases: {
+        start: 'up',
+        target: 'down',
+        partialIssue: 'shallow',
+        partialMessage: 'Go deeper - aim for thighs parallel to the floor',
+        classify(m, t) {
+            if (m.knee === undefined) return null;
+            if (m.knee > t.standingKnee) return 'up';
+            if (m.knee < t.depthKnee) return 'down';
+            if (m.knee < t.descentKnee) return 'descending';
+            return null;
+        }
+    },
+    formRules: [
+        {
+            id: 'knees-caving',
+            message: 'Push your knees out over your toes',
+            metrics: ['kneeSpread'],
+            phases: ['descending', 'down'],
+            edges: ['11,13', '13,15', '12,14', '14,16'],
+            test: (m, t) => m.kneeSpread < t.minKneeSpread
+        },
+        {
+            id: 'forward-lean',
+            message: 'Keep your chest up',
+            metrics: ['torsoLean'],
+            phases: ['descending', 'down'],
+            edges: ['5,11', '6,12'],
+            test: (m, t) => m.torsoLean > t.maxTorsoLean
+        }
+    ],
+    summarizeRep(rep) {
+        return {
+            depth: rep.min.knee,
+            maxTorsoLean: rep.max.torsoLean,
+            minKneeSpread: rep.min.kneeSpread
+        };
+    },
+    phaseFeedback: {
+        up: 'Stand tall, then sit back and down',
+        down: 'Good depth! Drive up through your heels'
+    },
+    cues: {
+        down: 'Up'
+    },
+    coaching: {
+        start: 'Stand tall, feet shoulder width apart',
+        formRules: {
+            'knees-caving': 'Knees out',
+            'forward-lean': 'Chest up'
+        }
+    }
+});
+
+exerciseRegistry.register({
+    id: 'jumping-jacks',
+    name: 'Jumping Jacks',
+    thresholds: {
+        armsOpenRaise: 0.1,     // wrists above shoulders, as a fraction of torso length
+        armsHalfRaise: -0.3,    // arms clearly lifted but not overhead
+        armsClosedRaise: -0.5,  // hands down by the hips
+        legsOpenSpread: 1.7,    // ankle gap as a multiple of hip width
+        legsHalfSpread: 1.4,
+        legsClosedSpread: 1.3
+    },
+    // Each phase is entered past the shifted value and left past the threshold itself,
+    // e.g. 'open' needs a raise above 0.15 and a spread above 1.8 and holds until either
+    // drops to 0.1 or 1.7; 'closed' needs below -0.55 and 1.2 and holds until -0.5 or 1.3
+    hysteresis: {
+        armsOpenRaise: 0.05,
+        armsHalfRaise: 0.05,
+        armsClosedRaise: -0.05,
+        legsOpenSpread: 0.1,
+        legsHalfSpread: 0.05,
+        legsClosedSpread: -0.1
+    },
+    met: { light: 3.8, vigorous: 8.0, cadence: 60 },
+    measure(keypoints) {
+        const k = KEYPOINTS;
+        const metrics = { armRaise: null, legSpread: null };
+        const torso = [k.leftShoulder, k.rightShoulder, k.leftHip, k.rightHip];
+
+        if (!PoseMath.isConfident(keypoints, torso)) {
+            return metrics;
+        }
+
+        const shoulders = PoseMath.midpoint(keypoints[k.leftShoulder], keypoints[k.rightShoulder]);
+        const hips = PoseMath.midpoint(keypoints[k.leftHip], keypoints[k.rightHip]);
+        const torsoLength = PoseMath.distance(shoulders, hips);
+        const hipWidth = Math.abs(keypoints[k.leftHip].x - keypoints[k.rightHip].x);
+
+        // Both arms have to be up, so the lower wrist decides
+        if (torsoLength > 0 && PoseMath.isConfident(keypoints, [k.leftWrist, k.rightWrist])) {
+            const leftRaise = (keypoints[k.leftShoulder].y - keypoints[k.leftWrist].y) / torsoLength;
+            const rightRaise = (keypoints[k.rightShoulder].y - keypoints[k.rightWrist].y) / torsoLength;
+            metrics.armRaise = Math.min(leftRaise, rightRaise);
+        }
+
+        if (hipWidth > 0 && PoseMath.isConfident(keypoints, [k.leftAnkle, k.rightAnkle])) {
+            metrics.legSpread = Math.abs(keypoints[k.leftAnkle].x - keypoints[k.rightAnkle].x) / hipWidth;
+        }
+
+        return metrics;
+    },
+    phases: {
+        start: 'closed',
+        target: 'open',
+        partialIssue(rep, t) {
+            const issues = [];
+            if (rep.maxArmRaise < t.armsOpenRaise) issues.push('arms-not-open');
+            if (rep.maxLegSpread < t.legsOpenSpread) issues.push('legs-not-open');
+            return issues;
+        },
+        partialMessage(rep, t) {
+            const armsShort = rep.maxArmRaise < t.armsOpenRaise;
+            const legsShort = rep.maxLegSpread < t.legsOpenSpread;
+            if (armsShort && legsShort) return 'Half rep - get your arms overhead and feet wide';
+            if (armsShort) return 'Half rep - bring your hands all the way overhead';
+            return 'Half rep - jump your feet wider';
+        },
+        classify(m, t) {
+            if (m.armRaise === null || m.legSpread === null) return null;
+
+            if (m.armRaise > t.armsOpenRaise && m.legSpread > t.legsOpenSpread) return 'open';
+            if (m.armRaise < t.armsClosedRaise && m.legSpread < t.legsClosedSpread) return 'closed';
+            if (m.armRaise > t.armsHalfRaise || m.legSpread > t.legsHalfSpread) return 'half-open';
+            return null;
+        }
+    },
+    summarizeRep(rep) {
+        return {
+            maxArmRaise: rep.max.armRaise,
+            maxLegSpread: rep.max.legSpread
+        };
+    },
+    phaseFeedback: {
+        open: 'Good extension',
+        closed: 'Keep jumping rhythm'
+    },
+    defaultFeedback: 'Keep jumping rhythm',
+    coaching: {
+        start: 'Feet together, arms down. Start jumping when ready',
+        milestones: {
+            25: 'Twenty five. Keep the rhythm',
+            50: 'Fifty. Great work'
+        }
+    }
+});
+
+exerciseRegistry.register({
+    id: 'plank',
+    name: 'Plank',
+    mode: 'hold',
+    met: { light: 2.8, vigorous: 3.8 },
+    joints: {
+        body: [KEYPOINTS.leftShoulder, KEYPOINTS.leftHip, KEYPOINTS.leftAnkle]
+    },
+    thresholds: {
+        minBodyLine: 165,     // shoulder-hip-ankle angle for a straight plank
+        minBodyIncline: 60    // degrees from vertical before we treat the user as down in a plank
+    },
+    hysteresis: {
+        minBodyIncline: 5 // in position from 65° off vertical, out of it again below 60°
+    },
+    measure(keypoints) {
+        const k = KEYPOINTS;
+        const metrics = { hipOffset: null, bodyIncline: null };
+
+        const side = PoseMath.visibleSide(keypoints, [k.leftShoulder, k.leftHip, k.leftAnkle]);
+        if (!PoseMath.isConfident(keypoints, side)) {
+            return metrics;
+        }
+
+        const [shoulder, hip, ankle] = side.map(index => keypoints[index]);
+        const bodyLength = PoseMath.distance(shoulder, ankle);
+
+        metrics.bodyIncline = PoseMath.inclineFromVertical(ankle, shoulder);
+
+        // Hip distance below (+) or above (-) the shoulder-ankle line, relative to body length
+        if (bodyLength > 0 && ankle.x !== shoulder.x) {
+            const lineY = shoulder.y + (ankle.y - shoulder.y) * (hip.x - shoulder.x) / (ankle.x - shoulder.x);
+            metrics.hipOffset = (hip.y - lineY) / bodyLength;
+        }
+
+        return metrics;
+    },
+    straightnessJoint: 'body',
+    hold: {
+        graceMs: 500,
+        outOfPositionMessage: 'Get into plank position - forearms down, body straight',
+        inPosition: (m, t) => m.body !== undefined && m.bodyIncline !== null && m.bodyIncline > t.minBodyIncline
+    },
+    formRules: [
+        {
+            id: 'hip-sag',
+            message: 'Lift your hips - keep a straight line',
+            metrics: ['body', 'hipOffset', 'bodyIncline'],
+            edges: ['5,11', '6,12', '11,13', '12,14'],
+            test: (m, t) => m.bodyIncline > t.minBodyIncline && m.body < t.minBodyLine && m.hipOffset > 0
+        },
+        {
+            id: 'hip-pike',
+            message: 'Lower your hips - keep a straight line',
+            metrics: ['body', 'hipOffset', 'bodyIncline'],
+            edges: ['5,11', '6,12', '11,13', '12,14'],
+            test: (m, t) => m.bodyIncline > t.minBodyIncline && m.body < t.minBodyLine && m.hipOffset < 0
+        }
+    ],
+    defaultFeedback: 'Hold that plank position',
+    coaching: {
+        start: 'Forearms down, body in a straight line',
+        milestones: {
+            30: 'Thirty seconds',
+            60: 'One minute. Keep holding'
+        },
+        formRules: {
+            'hip-sag': 'Lift your hips',
+            'hip-pike': 'Lower your hips'
+        }
+    }
+});
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.KEYPOINTS = KEYPOINTS;
+    window.PoseMath = PoseMath;
+    window.ExerciseRegistry = ExerciseRegistry;
+    window.ExerciseEngine = ExerciseEngine;
+    window.CalorieMath = CalorieMath;
+    window.exerciseRegistry = exerciseRegistry;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KEYPOINTS,
+        PoseMath,
+        ExerciseRegistry,
+        ExerciseEngine,
+        CalorieMath,
+        exerciseRegistry
+    };
+}
@@ -0,0 +1,123 @@
+// Hands-free workout controls for PoseAI
+//
+// Gestures are read from the same keypoints as the exercise engine. A gesture
+// fires once it has been held for its holdMs, and must be released before it
+// can fire again; a cooldown between any two gestures stops one long pose from
+// triggering several actions. Hold times are long enough that exercise
+// movements (arms overhead in a jumping jack) don't trigger them.
+
+const GestureKeypoints = typeof KEYPOINTS !== 'undefined' ? KEYPOINTS : require('./exercises').KEYPOINTS;
+
+function confidentPoints(keypoints, names, minScore) {
+    const points = names.map(name => keypoints[GestureKeypoints[name]]);
+    return points.every(kp => kp && kp.score >= minScore) ? points : null;
+}
+
+const GESTURES = {
+    // Both wrists above the head: start a set, or pause and resume it
+    'hands-up': {
+        label: 'Hands up',
+        holdMs: 2000,
+        test(keypoints, minScore) {
+            const points = confidentPoints(keypoints, ['nose', 'leftWrist', 'rightWrist'], minScore);
+            if (!points) return false;
+
+            const [nose, leftWrist, rightWrist] = points;
+            return leftWrist.y < nose.y && rightWrist.y < nose.y;
+        }
+    },
+    // Forearms crossed in front of the chest, each wrist past the body's midline: end the set
+    'arms-crossed': {
+        label: 'Arms crossed',
+        holdMs: 1500,
+        test(keypoints, minScore) {
+            const points = confidentPoints(keypoints, ['leftShoulder', 'rightShoulder', 'leftWrist', 'rightWrist'], minScore);
+            if (!points) return false;
+
+            const [leftShoulder, rightShoulder, leftWrist, rightWrist] = points;
+            const midX = (leftShoulder.x + rightShoulder.x) / 2;
+            const shoulderY = (leftShoulder.y + rightShoulder.y) / 2;
+            const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
+            if (shoulderWidth === 0) return false;
+
+            // Works whether or not the image is mirrored: compare sides relative to the midline
+            const leftCrossed = Math.sign(leftWrist.x - midX) === Math.sign(rightShoulder.x - midX);
+            const rightCrossed = Math.sign(rightWrist.x - midX) === Math.sign(leftShoulder.x - midX);
+            const atChest = [leftWrist, rightWrist].every(wrist =>
+                wrist.y > shoulderY - shoulderWidth * 0.25 && wrist.y < shoulderY + shoulderWidth * 1.5);
+
+            return leftCrossed && rightCrossed && atChest;
+        }
+    }
+};
+
+class GestureDetector {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        this.minScore = options.minScore || 0.3;
+        this.cooldownMs = options.cooldownMs || 2000;
+        this.gestures = { ...GESTURES, ...options.gestures };
+        this.reset();
+    }
+
+    reset() {
+        this.active = null; // { name, since, fired } for the gesture currently held
+        this.lastFired = -Infinity;
+        this.lastTimestamp = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.reset();
+    }
+
+    // The gesture being held and how far along it is (0-1), for on-screen feedback
+    get pending() {
+        if (!this.active || this.active.fired) return null;
+
+        const gesture = this.gestures[this.active.name];
+        return {
+            name: this.active.name,
+            label: gesture.label,
+            progress: Math.min(1, (this.lastTimestamp - this.active.since) / gesture.holdMs)
+        };
+    }
+
+    // Returns the name of a gesture that completed on this frame, else null
+    update(pose, timestamp) {
+        this.lastTimestamp = timestamp;
+        if (!this.enabled || !pose) {
+            this.active = null;
+            return null;
+        }
+
+        const name = Object.keys(this.gestures)
+            .find(id => this.gestures[id].test(pose.keypoints, this.minScore)) || null;
+
+        if (!this.active || this.active.name !== name) {
+            this.active = name ? { name, since: timestamp, fired: false } : null;
+        }
+        if (!this.active || this.active.fired) return null;
+
+        const held = timestamp - this.active.since >= this.gestures[name].holdMs;
+        if (held && timestamp - this.lastFired >= this.cooldownMs) {
+            this.active.fired = true;
+            this.lastFired = timestamp;
+            return name;
+        }
+        return null;
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.GESTURES = GESTURES;
+    window.GestureDetector = GestureDetector;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GESTURES,
+        GestureDetector
+    };
+}
@@ -0,0 +1,445 @@
+// Measurement calibration for PoseAI
+//
+// Body measurements need a scale in cm per pixel. A reference object of known
+// size (a bank card, an A4 sheet or a printed marker) held flat against the
+// body inside the on-screen guide box gives that scale. Each frame, the object
+// is separated from the background by colour, its sides are measured from the
+// shape's second moments, and the per-frame scales are combined into a median
+// with an error estimate.
+//
+// Without a reference, the user's height does the same job: standing fully in
+// frame, the eye-to-ankle span is a known share of their stature.
+
+const REFERENCE_OBJECTS = {
+    'credit-card': { name: 'Bank card', width: 8.56, height: 5.398 }, // ISO/IEC 7810 ID-1, cm
+    'a4': { name: 'A4 sheet', width: 21.0, height: 29.7 },
+    'marker': { name: 'Printed marker (10 cm square)', width: 10.0, height: 10.0 }
+};
+
+// Median-based summary shared by the calibration and measurement captures:
+// values further than `k` scaled median absolute deviations from the median are rejected.
+// `minDeviation` floors the scaled deviation, so readings that only differ below the
+// resolution that matters aren't thrown out when nearly all of them agree.
+const MeasurementStats = {
+    median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    },
+
+    summarize(values, k = 3, minDeviation = 0) {
+        const median = this.median(values);
+        if (median === null) return null;
+
+        // 1.4826 x MAD estimates the standard deviation of normally distributed values
+        const mad = Math.max(minDeviation, 1.4826 * this.median(values.map(value => Math.abs(value - median))));
+        const kept = mad > 0 ? values.filter(value => Math.abs(value - median) <= k * mad) : values;
+        const center = this.median(kept);
+        const mean = kept.reduce((sum, value) => sum + value, 0) / kept.length;
+        const spread = kept.length > 1
+            ? Math.sqrt(kept.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (kept.length - 1))
+            : 0;
+
+        return { median: center, spread, kept: kept.length, rejected: values.length - kept.length };
+    }
+};
+
+// Landmark heights as a share of stature for an adult standing upright, from
+// anthropometric surveys. The top of the head sits above the eyes by about 6.5%
+// of stature; the ankle keypoint (malleolus) is about 4% above the floor.
+const STATURE_RATIOS = {
+    eyes: 0.935,
+    nose: 0.905,
+    ankles: 0.039,
+    hips: 0.50 // hip joint centre, used to check the pose rather than for the scale
+};
+
+const CALIBRATION_KEYPOINTS = {
+    nose: 0, leftEye: 1, rightEye: 2,
+    leftHip: 11, rightHip: 12,
+    leftKnee: 13, rightKnee: 14,
+    leftAnkle: 15, rightAnkle: 16
+};
+
+class ReferenceDetector {
+    constructor(options = {}) {
+        this.minContrast = options.minContrast || 60;       // summed RGB difference from the background
+        this.minAreaShare = options.minAreaShare || 0.01;    // of the search region
+        this.minRectangularity = options.minRectangularity || 0.88;
+        this.maxAspectError = options.maxAspectError || 0.06; // a card (1.59:1) and A4 (1.41:1) differ by 11%
+        this.maxSearchDepth = options.maxSearchDepth || 2;    // blobs running off the box searched inside, see detect()
+    }
+
+    // The guide box the object has to be held in: the middle of the frame
+    static guideBox(width, height) {
+        return {
+            x: Math.round(width * 0.25),
+            y: Math.round(height * 0.2),
+            width: Math.round(width * 0.5),
+            height: Math.round(height * 0.6)
+        };
+    }
+
+    // image: { width, height, data } RGBA, as from getImageData(). Returns the object's
+    // long and short sides in pixels, or null when no object of the right shape is in the box.
+    detect(image, reference, region = ReferenceDetector.guideBox(image.width, image.height)) {
+        const { data } = image;
+        const { x: left, y: top, width, height } = region;
+        const pixel = index => ((top + Math.floor(index / width)) * image.width + left + index % width) * 4;
+        const medianColor = indices => [0, 1, 2].map(c => MeasurementStats.median(indices.map(index => data[pixel(index) + c])));
+        const differs = (index, color) => Math.abs(data[pixel(index)] - color[0]) +
+            Math.abs(data[pixel(index) + 1] - color[1]) +
+            Math.abs(data[pixel(index) + 2] - color[2]) >= this.minContrast;
+
+        // The background is whatever colour most of the box's border has
+        const borderPixels = [];
+        for (let x = 0; x < width; x++) {
+            borderPixels.push(x, (height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            borderPixels.push(y * width, y * width + width - 1);
+        }
+        const background = medianColor(borderPixels);
+
+        const mask = new Uint8Array(width * height);
+        for (let index = 0; index < mask.length; index++) {
+            mask[index] = differs(index, background) ? 1 : 0;
+        }
+
+        // Anything enclosed by the box is a candidate. A blob that runs off the box (a
+        // torso, an arm, a background strip) can still hold the object: it is searched
+        // again against its own colour, which finds a card held flat on a shirt, and
+        // again inside that for a card touching the hand or arm holding it.
+        const minArea = width * height * this.minAreaShare;
+        const candidates = [];
+        const search = (searchMask, depth) => {
+            this.components(searchMask, width, height).forEach(component => {
+                if (component.pixels.length < minArea) return;
+                if (!component.touchesEdge) {
+                    candidates.push(component);
+                    return;
+                }
+                if (depth >= this.maxSearchDepth) return;
+
+                const surface = medianColor(component.pixels);
+                const inner = new Uint8Array(mask.length);
+                component.pixels.forEach(index => {
+                    inner[index] = differs(index, surface) ? 1 : 0;
+                });
+                search(inner, depth + 1);
+            });
+        };
+        search(mask, 0);
+
+        // The closest match to the reference's shape wins
+        let best = null;
+        candidates.forEach(component => {
+            const detection = this.measureShape(component.pixels, width, reference);
+            if (detection && (!best || detection.aspectError < best.aspectError)) {
+                best = detection;
+            }
+        });
+        if (!best) return null;
+
+        best.center = { x: left + best.center.x, y: top + best.center.y };
+        return best;
+    }
+
+    // Sides, centre and angle of a blob of pixel indices in a region `width` wide, or null
+    // when it isn't a rectangle of the reference's aspect ratio
+    measureShape(pixels, width, reference) {
+        // Printing on the object can match the background; filling each row between the
+        // component's outermost pixels restores the (convex) outline
+        const rows = new Map();
+        pixels.forEach(index => {
+            const y = Math.floor(index / width);
+            const x = index % width;
+            const span = rows.get(y);
+            if (span) {
+                span[0] = Math.min(span[0], x);
+                span[1] = Math.max(span[1], x);
+            } else {
+                rows.set(y, [x, x]);
+            }
+        });
+
+        let area = 0, sumX = 0, sumY = 0;
+        rows.forEach(([x0, x1], y) => {
+            const count = x1 - x0 + 1;
+            area += count;
+            sumX += count * (x0 + x1) / 2;
+            sumY += count * y;
+        });
+        const cx = sumX / area;
+        const cy = sumY / area;
+
+        let sxx = 0, syy = 0, sxy = 0;
+        rows.forEach(([x0, x1], y) => {
+            for (let x = x0; x <= x1; x++) {
+                sxx += (x - cx) ** 2;
+                syy += (y - cy) ** 2;
+                sxy += (x - cx) * (y - cy);
+            }
+        });
+        sxx /= area;
+        syy /= area;
+        sxy /= area;
+
+        // Principal axes; a filled rectangle of side L has variance L^2 / 12 along it
+        const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        const root = Math.sqrt(((sxx - syy) / 2) ** 2 + sxy ** 2);
+        const longPx = Math.sqrt(12 * ((sxx + syy) / 2 + root));
+        const shortPx = Math.sqrt(12 * Math.max(0, (sxx + syy) / 2 - root));
+        if (!(shortPx > 0)) return null;
+
+        // A rectangle fills the box its extents span along those axes; an ellipse fills ~79%
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        let min1 = Infinity, max1 = -Infinity, min2 = Infinity, max2 = -Infinity;
+        rows.forEach(([x0, x1], y) => [x0, x1].forEach(x => {
+            const u = (x - cx) * cos + (y - cy) * sin;
+            const v = -(x - cx) * sin + (y - cy) * cos;
+            min1 = Math.min(min1, u); max1 = Math.max(max1, u);
+            min2 = Math.min(min2, v); max2 = Math.max(max2, v);
+        }));
+        const rectangularity = area / ((max1 - min1 + 1) * (max2 - min2 + 1));
+
+        const expectedAspect = Math.max(reference.width, reference.height) / Math.min(reference.width, reference.height);
+        const aspectError = Math.abs(longPx / shortPx - expectedAspect) / expectedAspect;
+        if (rectangularity < this.minRectangularity || aspectError > this.maxAspectError) {
+            return null;
+        }
+
+        return {
+            longPx,
+            shortPx,
+            center: { x: cx, y: cy },
+            angle,
+            aspectError,
+            rectangularity
+        };
+    }
+
+    // 4-connected flood fill; returns every blob of set pixels and whether it reaches the region's edge
+    components(mask, width, height) {
+        const seen = new Uint8Array(mask.length);
+        const found = [];
+
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || seen[start]) continue;
+
+            const pixels = [];
+            const stack = [start];
+            let touchesEdge = false;
+            seen[start] = 1;
+            while (stack.length > 0) {
+                const index = stack.pop();
+                pixels.push(index);
+                const x = index % width;
+                const y = Math.floor(index / width);
+                if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+                    touchesEdge = true;
+                }
+                [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+                    const next = ny * width + nx;
+                    if (mask[next] && !seen[next]) {
+                        seen[next] = 1;
+                        stack.push(next);
+                    }
+                });
+            }
+
+            found.push({ pixels, touchesEdge });
+        }
+        return found;
+    }
+}
+
+// Collects per-frame reference detections until there are enough for a stable scale
+class ReferenceCalibration {
+    constructor(referenceId, options = {}) {
+        this.referenceId = referenceId;
+        this.reference = REFERENCE_OBJECTS[referenceId];
+        if (!this.reference) {
+            throw new Error(`Unknown reference object: ${referenceId}`);
+        }
+        this.detector = options.detector || new ReferenceDetector();
+        this.framesNeeded = options.frames || 15;
+        this.maxErrorPercent = options.maxErrorPercent || 5;
+        this.method = 'reference';
+        this.reset();
+    }
+
+    reset() {
+        this.samples = []; // cm per pixel from each frame the object was found in
+        this.aspectErrors = [];
+        this.framesSeen = 0;
+        this.lastDetection = null;
+    }
+
+    get done() {
+        return this.samples.length >= this.framesNeeded;
+    }
+
+    // Returns the frame's detection (or null) so the caller can draw it
+    addFrame(image, region) {
+        this.framesSeen++;
+        const detection = this.detector.detect(image, this.reference, region);
+        this.lastDetection = detection;
+        if (!detection) return null;
+
+        const longCm = Math.max(this.reference.width, this.reference.height);
+        const shortCm = Math.min(this.reference.width, this.reference.height);
+        this.samples.push((longCm / detection.longPx + shortCm / detection.shortPx) / 2);
+        this.aspectErrors.push(detection.aspectError);
+        return detection;
+    }
+
+    // Median scale and its frame-to-frame spread as a percentage. `stable` is false when the
+    // object moved too much between frames for the scale to be trusted.
+    result() {
+        const summary = MeasurementStats.summarize(this.samples);
+        if (!summary) return null;
+
+        const errorPercent = summary.spread / summary.median * 100;
+        return {
+            method: 'reference',
+            reference: this.referenceId,
+            scaleCmPerPixel: summary.median,
+            errorPercent,
+            aspectErrorPercent: MeasurementStats.median(this.aspectErrors) * 100,
+            frames: summary.kept,
+            rejectedFrames: summary.rejected,
+            stable: errorPercent <= this.maxErrorPercent
+        };
+    }
+}
+
+// Scale from the user's stated height while they stand fully in frame. Frames where
+// the person isn't upright with straight legs, or whose hip height doesn't fit the
+// stated height, are skipped; `problem` says why the last frame was.
+class HeightCalibration {
+    constructor(heightCm, options = {}) {
+        if (!(heightCm >= 100 && heightCm <= 250)) {
+            throw new Error('Enter a height between 100 and 250 cm');
+        }
+        this.method = 'height';
+        this.heightCm = heightCm;
+        this.minScore = options.minScore || 0.5;
+        this.framesNeeded = options.frames || 15;
+        this.maxErrorPercent = options.maxErrorPercent || 3;
+        this.maxLeanDegrees = options.maxLeanDegrees || 12;
+        this.minKneeAngle = options.minKneeAngle || 160;
+        this.hipTolerance = options.hipTolerance || 0.08; // of stature
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+        this.framesSeen = 0;
+        this.lastDetection = null;
+        this.problem = null; // 'not-visible' | 'leaning' | 'knees-bent' | 'proportions'
+    }
+
+    get done() {
+        return this.samples.length >= this.framesNeeded;
+    }
+
+    addPose(pose) {
+        this.framesSeen++;
+        const detection = this.measure(pose);
+        this.lastDetection = detection;
+        if (detection) {
+            this.samples.push(detection.scaleCmPerPixel);
+        }
+        return detection;
+    }
+
+    measure(pose) {
+        const kp = name => pose.keypoints[CALIBRATION_KEYPOINTS[name]];
+        const visible = (...names) => names.every(name => kp(name) && kp(name).score >= this.minScore);
+        const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+        const legs = ['leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'];
+        const useEyes = visible('leftEye', 'rightEye');
+        if (!visible(...legs) || (!useEyes && !visible('nose'))) {
+            this.problem = 'not-visible';
+            return null;
+        }
+
+        const top = useEyes ? midpoint(kp('leftEye'), kp('rightEye')) : kp('nose');
+        const ankles = midpoint(kp('leftAnkle'), kp('rightAnkle'));
+        const lean = Math.atan2(Math.abs(top.x - ankles.x), ankles.y - top.y) * 180 / Math.PI;
+        if (!(ankles.y > top.y) || lean > this.maxLeanDegrees) {
+            this.problem = 'leaning';
+            return null;
+        }
+
+        const kneeAngle = (hip, knee, ankle) => {
+            const a = Math.atan2(kp(hip).y - kp(knee).y, kp(hip).x - kp(knee).x);
+            const b = Math.atan2(kp(ankle).y - kp(knee).y, kp(ankle).x - kp(knee).x);
+            const angle = Math.abs(a - b) * 180 / Math.PI;
+            return angle > 180 ? 360 - angle : angle;
+        };
+        if (kneeAngle('leftHip', 'leftKnee', 'leftAnkle') < this.minKneeAngle ||
+            kneeAngle('rightHip', 'rightKnee', 'rightAnkle') < this.minKneeAngle) {
+            this.problem = 'knees-bent';
+            return null;
+        }
+
+        const spanPx = distance(top, ankles);
+        const topRatio = useEyes ? STATURE_RATIOS.eyes : STATURE_RATIOS.nose;
+        const scaleCmPerPixel = this.heightCm * (topRatio - STATURE_RATIOS.ankles) / spanPx;
+
+        // The hips should be about half way up; if they aren't, the stated height and
+        // the person in frame don't match (or the ankles are cut off)
+        const hips = midpoint(kp('leftHip'), kp('rightHip'));
+        const hipShare = STATURE_RATIOS.ankles + distance(hips, ankles) * scaleCmPerPixel / this.heightCm;
+        if (Math.abs(hipShare - STATURE_RATIOS.hips) > this.hipTolerance) {
+            this.problem = 'proportions';
+            return null;
+        }
+
+        this.problem = null;
+        return { top, ankles, spanPx, scaleCmPerPixel, landmark: useEyes ? 'eyes' : 'nose', hipShare };
+    }
+
+    result() {
+        const summary = MeasurementStats.summarize(this.samples);
+        if (!summary) return null;
+
+        const errorPercent = summary.spread / summary.median * 100;
+        return {
+            method: 'height',
+            heightCm: this.heightCm,
+            scaleCmPerPixel: summary.median,
+            errorPercent,
+            frames: summary.kept,
+            rejectedFrames: summary.rejected,
+            stable: errorPercent <= this.maxErrorPercent
+        };
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.REFERENCE_OBJECTS = REFERENCE_OBJECTS;
+    window.MeasurementStats = MeasurementStats;
+    window.ReferenceDetector = ReferenceDetector;
+    window.ReferenceCalibration = ReferenceCalibration;
+    window.STATURE_RATIOS = STATURE_RATIOS;
+    window.HeightCalibration = HeightCalibration;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REFERENCE_OBJECTS,
+        MeasurementStats,
+        ReferenceDetector,
+        ReferenceCalibration,
+        STATURE_RATIOS,
+        HeightCalibration
+    };
+}
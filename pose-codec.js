@@ -0,0 +1,144 @@
+// Compact pose-frame encoding shared by the PoseAI client and server
+//
+// Recorded sessions keep a sampled subset of frames. Each frame stores its
+// keypoints as quantized integers (x, y, score per keypoint); every
+// keyframeInterval-th frame holds absolute values and the frames between hold
+// deltas from the previous frame, which stay small while the user moves
+// smoothly. Keypoint names are written once instead of on every keypoint.
+//
+// Encoded format:
+// {
+//     version: 1,
+//     names: ['nose', ...],     // keypoint names, in order
+//     precision: 1,             // pixels per coordinate unit
+//     keyframeInterval: 30,
+//     sampleRate: 10,           // frames per second kept
+//     startTime: 1700000000000, // ms
+//     frames: [[dt, isKeyframe, x0, y0, s0, x1, y1, s1, ...], ...]
+// }
+
+const POSE_CODEC_VERSION = 1;
+const SCORE_SCALE = 100; // scores are stored as whole percentages
+
+class PoseEncoder {
+    constructor(options = {}) {
+        this.precision = options.precision || 1;
+        this.keyframeInterval = options.keyframeInterval || 30;
+        this.sampleRate = options.sampleRate || 10;
+        this.names = null;
+        this.startTime = null;
+        this.lastTimestamp = null;
+        this.lastValues = null;
+        this.frames = [];
+    }
+
+    // Encodes an already recorded [{ timestamp, keypoints }] array in one go
+    static encode(poses, options = {}) {
+        const encoder = new PoseEncoder(options);
+        poses.forEach(pose => encoder.push(pose.keypoints, pose.timestamp));
+        return encoder.finish();
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    quantize(keypoints) {
+        const values = [];
+        keypoints.forEach(kp => {
+            values.push(
+                Math.round(kp.x / this.precision),
+                Math.round(kp.y / this.precision),
+                Math.round((kp.score || 0) * SCORE_SCALE)
+            );
+        });
+        return values;
+    }
+
+    // Returns false when the frame was skipped by the sample rate
+    push(keypoints, timestamp = Date.now()) {
+        if (this.lastTimestamp !== null && timestamp - this.lastTimestamp < 1000 / this.sampleRate) {
+            return false;
+        }
+
+        if (!this.names) {
+            this.names = keypoints.map((kp, index) => kp.name || String(index));
+            this.startTime = timestamp;
+        }
+
+        const values = this.quantize(keypoints);
+        const isKeyframe = this.frames.length % this.keyframeInterval === 0;
+        const dt = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        const stored = isKeyframe ? values : values.map((value, i) => value - this.lastValues[i]);
+
+        this.frames.push([dt, isKeyframe ? 1 : 0, ...stored]);
+        this.lastValues = values;
+        this.lastTimestamp = timestamp;
+        return true;
+    }
+
+    finish() {
+        return {
+            version: POSE_CODEC_VERSION,
+            names: this.names || [],
+            precision: this.precision,
+            keyframeInterval: this.keyframeInterval,
+            sampleRate: this.sampleRate,
+            startTime: this.startTime,
+            frames: this.frames
+        };
+    }
+}
+
+// Rebuilds [{ timestamp, keypoints: [{ x, y, score, name }] }] from an encoded stream
+function decodePoses(encoded) {
+    if (!encoded || encoded.version !== POSE_CODEC_VERSION || !Array.isArray(encoded.frames) || !Array.isArray(encoded.names)) {
+        throw new Error('Unsupported pose encoding');
+    }
+
+    const names = encoded.names;
+    const width = names.length * 3;
+    const precision = encoded.precision || 1;
+    const poses = [];
+    let timestamp = encoded.startTime || 0;
+    let values = null;
+
+    encoded.frames.forEach((frame, index) => {
+        if (!Array.isArray(frame) || frame.length !== width + 2 || !frame.every(Number.isFinite)) {
+            throw new Error(`Malformed pose frame at index ${index}`);
+        }
+
+        const [dt, isKeyframe, ...stored] = frame;
+        if (!isKeyframe && !values) {
+            throw new Error('Pose stream must start with a keyframe');
+        }
+
+        values = isKeyframe ? stored : stored.map((delta, i) => values[i] + delta);
+        timestamp += dt;
+
+        poses.push({
+            timestamp,
+            keypoints: names.map((name, k) => ({
+                x: values[k * 3] * precision,
+                y: values[k * 3 + 1] * precision,
+                score: values[k * 3 + 2] / SCORE_SCALE,
+                name
+            }))
+        });
+    });
+
+    return poses;
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.PoseEncoder = PoseEncoder;
+    window.decodePoses = decodePoses;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PoseEncoder,
+        decodePoses
+    };
+}
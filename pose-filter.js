@@ -0,0 +1,134 @@
+// Keypoint smoothing shared by the PoseAI client and server
+//
+// Every keypoint coordinate runs through a One Euro filter (Casiez et al.,
+// 2012): heavy smoothing while a joint is nearly still, little lag once it
+// moves quickly. Low-confidence keypoints are held at their last confident
+// position for up to holdMs instead of jumping around with the noise, then
+// passed through with their low score so confidence checks downstream still
+// reject them.
+
+class OneEuroFilter {
+    constructor(options = {}) {
+        this.minCutoff = options.minCutoff !== undefined ? options.minCutoff : 1.0; // Hz
+        this.beta = options.beta !== undefined ? options.beta : 0.01;
+        this.dCutoff = options.dCutoff !== undefined ? options.dCutoff : 1.0; // Hz
+        this.reset();
+    }
+
+    static alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTime = null;
+    }
+
+    // timestamp in ms
+    filter(value, timestamp) {
+        if (this.value === null || timestamp <= this.lastTime) {
+            this.value = value;
+            this.derivative = 0;
+            this.lastTime = timestamp;
+            return value;
+        }
+
+        const dt = (timestamp - this.lastTime) / 1000;
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += OneEuroFilter.alpha(this.dCutoff, dt) * (rawDerivative - this.derivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += OneEuroFilter.alpha(cutoff, dt) * (value - this.value);
+        this.lastTime = timestamp;
+        return this.value;
+    }
+}
+
+class PoseFilter {
+    constructor(options = {}) {
+        this.configure(options);
+    }
+
+    // Changing settings restarts the filters
+    configure(options = {}) {
+        this.options = {
+            enabled: true,
+            minCutoff: 1.0,   // lower = smoother when still
+            beta: 0.01,       // higher = less lag when moving fast
+            dCutoff: 1.0,
+            minScore: 0.3,    // below this a keypoint is not trusted
+            holdMs: 300,      // how long a lost keypoint stays at its last confident position
+            ...this.options,
+            ...options
+        };
+        this.reset();
+    }
+
+    reset() {
+        this.filters = []; // per keypoint: { x: OneEuroFilter, y: OneEuroFilter }
+        this.lastGood = []; // per keypoint: last confident filtered keypoint and its time
+        this.lastTime = null;
+    }
+
+    // Returns a new pose; the input is left untouched so raw frames can still be recorded
+    filter(pose, timestamp) {
+        if (!this.options.enabled || !pose) return pose;
+
+        // A new stream (or a seek backwards) starts from scratch
+        if (this.lastTime !== null && timestamp < this.lastTime) {
+            this.reset();
+        }
+        this.lastTime = timestamp;
+
+        const keypoints = pose.keypoints.map((kp, index) => this.filterKeypoint(kp, index, timestamp));
+        return { ...pose, keypoints };
+    }
+
+    filterKeypoint(kp, index, timestamp) {
+        const { minCutoff, beta, dCutoff, minScore, holdMs } = this.options;
+
+        if (!this.filters[index]) {
+            this.filters[index] = {
+                x: new OneEuroFilter({ minCutoff, beta, dCutoff }),
+                y: new OneEuroFilter({ minCutoff, beta, dCutoff })
+            };
+        }
+        const filters = this.filters[index];
+
+        if ((kp.score || 0) >= minScore) {
+            const filtered = {
+                ...kp,
+                x: filters.x.filter(kp.x, timestamp),
+                y: filters.y.filter(kp.y, timestamp)
+            };
+            this.lastGood[index] = { keypoint: filtered, time: timestamp };
+            return filtered;
+        }
+
+        const lastGood = this.lastGood[index];
+        if (lastGood && timestamp - lastGood.time <= holdMs) {
+            return { ...lastGood.keypoint, held: true };
+        }
+
+        // Lost for too long: let the low-confidence point through and start over when it returns
+        filters.x.reset();
+        filters.y.reset();
+        this.lastGood[index] = null;
+        return kp;
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.OneEuroFilter = OneEuroFilter;
+    window.PoseFilter = PoseFilter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OneEuroFilter,
+        PoseFilter
+    };
+}
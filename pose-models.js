@@ -0,0 +1,440 @@
+// Pose detection models for PoseAI and BodyMeasurement
+//
+// PoseModelManager loads one of the models below and stands in for the
+// detector: sources call its estimatePoses() exactly like a pose-detection
+// detector. It keeps a running FPS figure and, while the camera is live,
+// steps down to a lighter model (then a smaller input) when frames stay
+// below minFps. Keypoints always come back in MoveNet's 17-point order so the
+// exercise definitions work with any model. The models' built-in smoothing and
+// tracking are off; PoseFilter (pose-filter.js) smooths every source the same
+// way and PoseTracker (pose-tracker.js) assigns person ids.
+//
+// WorkerPoseModelManager runs the same manager inside pose-worker.js so
+// inference stays off the main thread, and falls back to running it here
+// when the browser can't.
+
+const POSE_MODELS = {
+    'movenet-lightning': {
+        name: 'MoveNet Lightning',
+        fallback: null,
+        create: () => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+            modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING,
+            enableSmoothing: false
+        })
+    },
+    'movenet-thunder': {
+        name: 'MoveNet Thunder',
+        fallback: 'movenet-lightning',
+        create: () => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+            modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER,
+            enableSmoothing: false
+        })
+    },
+    // Up to six people per frame, for partner and group workouts (see pose-tracker.js)
+    'movenet-multipose': {
+        name: 'MoveNet MultiPose',
+        fallback: null,
+        multiPose: true,
+        create: () => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+            modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+            enableSmoothing: false,
+            enableTracking: false,
+            minPoseScore: 0.25
+        })
+    },
+    'blazepose': {
+        name: 'BlazePose',
+        fallback: 'movenet-lightning',
+        create: () => poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, {
+            runtime: 'tfjs',
+            modelType: 'full',
+            enableSmoothing: false
+        })
+    }
+};
+
+const DEFAULT_POSE_MODEL = 'movenet-thunder';
+
+// MoveNet keypoint names in index order; BlazePose uses the same names for these joints
+const MOVENET_KEYPOINT_NAMES = [
+    'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+    'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+    'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+    'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+];
+
+class PoseModelManager {
+    constructor(options = {}) {
+        this.modelId = POSE_MODELS[options.modelId] ? options.modelId : DEFAULT_POSE_MODEL;
+        this.requestedModel = this.modelId;
+        this.minFps = options.minFps || 12;
+        this.minInputScale = options.minInputScale || 0.5;
+        this.sampleWindow = options.sampleWindow || 3000; // ms of frames the FPS is measured over
+        this.onChange = options.onChange || (() => {});
+        this.detector = null;
+        this.inputScale = 1;
+        this.inputCanvas = null;
+        this.frameTimes = [];
+        this.fpsTotal = 0;
+        this.fpsSamples = 0;
+        this.lowestFps = null;
+        this.modelChanges = [];
+        this.switching = false;
+    }
+
+    static list() {
+        return Object.keys(POSE_MODELS).map(id => ({ id, name: POSE_MODELS[id].name }));
+    }
+
+    get modelName() {
+        return POSE_MODELS[this.modelId].name;
+    }
+
+    get fps() {
+        const times = this.frameTimes;
+        if (times.length < 2) return null;
+        return (times.length - 1) * 1000 / (times[times.length - 1] - times[0]);
+    }
+
+    async load(modelId = this.modelId) {
+        if (!POSE_MODELS[modelId]) {
+            throw new Error(`Unknown pose model: ${modelId}`);
+        }
+
+        const detector = await POSE_MODELS[modelId].create();
+        if (this.detector) {
+            this.detector.dispose();
+        }
+
+        this.detector = detector;
+        this.modelId = modelId;
+        this.frameTimes = [];
+        return detector;
+    }
+
+    // Picking a model by hand resets the fallback history
+    async select(modelId) {
+        this.requestedModel = modelId;
+        this.inputScale = 1;
+        this.modelChanges = [];
+        await this.load(modelId);
+    }
+
+    // adaptive: false skips FPS tracking, for sources that are not real time (video files).
+    // Resolves to null when the frame was skipped (model loading), so callers can retry.
+    async estimatePoses(input, options = {}) {
+        if (!this.detector || this.switching) return null;
+
+        const adaptive = options.adaptive !== false;
+        const scaled = adaptive && this.inputScale < 1;
+        const image = scaled ? await this.scaleInput(input) : input;
+        const poses = await this.detector.estimatePoses(image);
+        if (scaled && image.close) {
+            image.close();
+        }
+
+        poses.forEach(pose => {
+            pose.keypoints = PoseModelManager.toMoveNetKeypoints(pose.keypoints, scaled ? 1 / this.inputScale : 1);
+        });
+
+        if (adaptive) {
+            this.recordFrame(Date.now());
+        }
+        return poses;
+    }
+
+    async scaleInput(input) {
+        // Keypoints come back in the element's width and height, like unscaled frames
+        const width = Math.round((input.width || input.videoWidth) * this.inputScale);
+        const height = Math.round((input.height || input.videoHeight) * this.inputScale);
+
+        // No DOM inside the worker; frames arrive there as ImageBitmaps
+        if (typeof document === 'undefined') {
+            return createImageBitmap(input, { resizeWidth: width, resizeHeight: height });
+        }
+
+        if (!this.inputCanvas) {
+            this.inputCanvas = document.createElement('canvas');
+        }
+        this.inputCanvas.width = width;
+        this.inputCanvas.height = height;
+        this.inputCanvas.getContext('2d').drawImage(input, 0, 0, width, height);
+        return this.inputCanvas;
+    }
+
+    static toMoveNetKeypoints(keypoints, scale = 1) {
+        const byName = {};
+        keypoints.forEach(kp => {
+            byName[kp.name] = kp;
+        });
+
+        return MOVENET_KEYPOINT_NAMES.map(name => {
+            const kp = byName[name] || { x: 0, y: 0, score: 0 };
+            return { x: kp.x * scale, y: kp.y * scale, score: kp.score || 0, name };
+        });
+    }
+
+    recordFrame(now) {
+        this.frameTimes.push(now);
+        while (this.frameTimes.length > 0 && now - this.frameTimes[0] > this.sampleWindow) {
+            this.frameTimes.shift();
+        }
+
+        const fps = this.fps;
+        if (fps === null) return;
+
+        this.fpsTotal += fps;
+        this.fpsSamples++;
+        this.lowestFps = this.lowestFps === null ? fps : Math.min(this.lowestFps, fps);
+
+        // Only judge once a full window of frames has been measured
+        const windowFull = now - this.frameTimes[0] >= this.sampleWindow * 0.9;
+        if (windowFull && fps < this.minFps) {
+            this.stepDown(fps);
+        }
+    }
+
+    async stepDown(fps) {
+        const fallback = POSE_MODELS[this.modelId].fallback;
+        const change = { from: this.modelId, to: this.modelId, inputScale: this.inputScale, fps: Math.round(fps * 10) / 10, at: Date.now() };
+
+        if (fallback) {
+            this.switching = true;
+            try {
+                await this.load(fallback);
+                change.to = fallback;
+            } catch (error) {
+                console.error('Failed to load fallback pose model:', error);
+                return;
+            } finally {
+                this.switching = false;
+            }
+        } else if (this.inputScale > this.minInputScale) {
+            this.inputScale = Math.max(this.minInputScale, this.inputScale / 2);
+            change.inputScale = this.inputScale;
+            this.frameTimes = [];
+        } else {
+            return; // already as light as it gets
+        }
+
+        this.modelChanges.push(change);
+        this.onChange(change);
+    }
+
+    // Recorded with saved workouts and measurements
+    metadata() {
+        return {
+            poseModel: this.modelId,
+            requestedModel: this.requestedModel,
+            inputScale: this.inputScale,
+            averageFps: this.fpsSamples > 0 ? Math.round(this.fpsTotal / this.fpsSamples * 10) / 10 : null,
+            lowestFps: this.lowestFps !== null ? Math.round(this.lowestFps * 10) / 10 : null,
+            modelChanges: this.modelChanges
+        };
+    }
+
+    // FPS figures cover one session at a time
+    resetStats() {
+        this.frameTimes = [];
+        this.fpsTotal = 0;
+        this.fpsSamples = 0;
+        this.lowestFps = null;
+    }
+}
+
+// Same interface as PoseModelManager, with the detector living in pose-worker.js.
+// Frames go over as transferred ImageBitmaps, one at a time: a frame offered while
+// the previous one is still being processed is dropped (resolves to null) instead of queued.
+class WorkerPoseModelManager extends PoseModelManager {
+    constructor(options = {}) {
+        super(options);
+        this.workerUrl = options.workerUrl || 'pose-worker.js';
+        this.worker = null;
+        this.workerFailed = false;
+        this.workerStats = null; // { fps, metadata } reported with each result
+        this.pendingFrame = null;
+        this.pendingLoad = null;
+        this.nextFrameId = 0;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    get fps() {
+        if (!this.worker) return super.fps;
+        return this.workerStats ? this.workerStats.fps : null;
+    }
+
+    async load(modelId = this.modelId) {
+        if (!this.workerFailed && WorkerPoseModelManager.isSupported()) {
+            try {
+                await this.requestModel('load', modelId);
+                return;
+            } catch (error) {
+                console.warn('Pose worker unavailable, running inference on the main thread:', error);
+                this.terminate();
+                this.workerFailed = true;
+            }
+        }
+        return super.load(modelId);
+    }
+
+    async select(modelId) {
+        if (!this.worker) return super.select(modelId);
+
+        this.requestedModel = modelId;
+        this.inputScale = 1;
+        this.modelChanges = [];
+        await this.requestModel('select', modelId);
+    }
+
+    requestModel(type, modelId) {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = event => this.handleMessage(event.data);
+            this.worker.onerror = event => this.handleWorkerError(new Error(event.message || 'Pose worker failed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingLoad = { resolve, reject };
+            this.worker.postMessage({
+                type,
+                modelId,
+                options: {
+                    minFps: this.minFps,
+                    minInputScale: this.minInputScale,
+                    sampleWindow: this.sampleWindow
+                }
+            });
+        });
+    }
+
+    async estimatePoses(input, options = {}) {
+        if (!this.worker) return super.estimatePoses(input, options);
+        if (this.pendingFrame || this.pendingLoad) return null;
+
+        // Claim the slot before the bitmap is ready so concurrent callers see it as busy
+        const frame = { id: ++this.nextFrameId, resolve: null };
+        this.pendingFrame = frame;
+
+        // On the main thread the detector reports keypoints in a video element's width and
+        // height (p5 and the video file source size it), not its intrinsic frame size
+        const resize = input.videoWidth && input.width && input.height &&
+            (input.width !== input.videoWidth || input.height !== input.videoHeight)
+            ? { resizeWidth: input.width, resizeHeight: input.height }
+            : undefined;
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(input, resize);
+        } catch (error) {
+            this.pendingFrame = null;
+            return null; // video not ready yet
+        }
+
+        if (this.pendingFrame !== frame) {
+            bitmap.close(); // worker was replaced meanwhile
+            return null;
+        }
+
+        return new Promise(resolve => {
+            frame.resolve = resolve;
+            this.worker.postMessage({ type: 'estimate', id: frame.id, bitmap, adaptive: options.adaptive !== false }, [bitmap]);
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'loaded':
+                this.modelId = message.modelId;
+                this.workerStats = null;
+                this.settleLoad(null);
+                break;
+            case 'loadError':
+                this.settleLoad(new Error(message.message));
+                break;
+            case 'poses':
+                this.workerStats = message.stats;
+                this.settleFrame(message.id, message.poses);
+                break;
+            case 'dropped':
+                this.settleFrame(message.id, null);
+                break;
+            case 'error':
+                console.error('Pose worker error:', message.message);
+                this.settleFrame(message.id, []);
+                break;
+            case 'modelChange':
+                this.modelId = message.change.to;
+                this.inputScale = message.change.inputScale;
+                this.modelChanges.push(message.change);
+                this.onChange(message.change);
+                break;
+        }
+    }
+
+    settleLoad(error) {
+        const load = this.pendingLoad;
+        this.pendingLoad = null;
+        if (!load) return;
+        if (error) {
+            load.reject(error);
+        } else {
+            load.resolve();
+        }
+    }
+
+    settleFrame(id, poses) {
+        if (this.pendingFrame && this.pendingFrame.id === id) {
+            const frame = this.pendingFrame;
+            this.pendingFrame = null;
+            frame.resolve(poses);
+        }
+    }
+
+    handleWorkerError(error) {
+        if (this.pendingLoad) {
+            this.settleLoad(error); // load() falls back to the main thread
+            return;
+        }
+
+        // The worker died mid-session; keep detecting on the main thread
+        console.error('Pose worker stopped, running inference on the main thread:', error);
+        if (this.pendingFrame && this.pendingFrame.resolve) {
+            this.pendingFrame.resolve(null);
+        }
+        this.terminate();
+        this.workerFailed = true;
+        super.load(this.modelId).catch(loadError => console.error('Error loading pose detection:', loadError));
+    }
+
+    metadata() {
+        if (!this.worker) return super.metadata();
+        return this.workerStats ? this.workerStats.metadata : super.metadata();
+    }
+
+    resetStats() {
+        if (!this.worker) return super.resetStats();
+        this.workerStats = null;
+        this.worker.postMessage({ type: 'resetStats' });
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pendingFrame = null;
+        this.pendingLoad = null;
+    }
+}
+
+// Export for global access (pose-worker.js also loads this file, where there is no window)
+if (typeof window !== 'undefined') {
+    window.POSE_MODELS = POSE_MODELS;
+    window.PoseModelManager = PoseModelManager;
+    window.WorkerPoseModelManager = WorkerPoseModelManager;
+}
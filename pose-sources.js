@@ -0,0 +1,274 @@
+// Pose input sources for PoseAI and BodyMeasurement
+//
+// Both classes pull frames from a source instead of calling the detector
+// directly, so a recorded session can stand in for the camera. A source's
+// next() resolves to { poses, timestamp } for the next frame, or null once
+// the source has no more frames. Consumers should use frame.timestamp rather
+// than the wall clock so replays give the same results at any speed.
+//
+// Detectors may resolve a frame to null when they skipped it (see
+// pose-models.js); sources retry instead of handing out an empty frame.
+
+const SKIPPED_FRAME_RETRY_MS = 30;
+
+function waitForRetry() {
+    return new Promise(resolve => setTimeout(resolve, SKIPPED_FRAME_RETRY_MS));
+}
+
+// Live detector output for a <video> element (or p5 capture element)
+class CameraPoseSource {
+    constructor(detector, videoElement) {
+        this.detector = detector;
+        this.videoElement = videoElement;
+        this.isLive = true;
+        this.stopped = false;
+    }
+
+    async next() {
+        // Stamp the frame when it was grabbed, not when inference finished
+        let timestamp;
+        let poses = null;
+        while (poses === null) {
+            if (this.stopped) return null;
+            timestamp = Date.now();
+            poses = await this.detector.estimatePoses(this.videoElement);
+            if (poses === null) {
+                await waitForRetry();
+            }
+        }
+        return { poses, timestamp };
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+}
+
+// Detector output for an uploaded video file. The video is stepped frame by frame by
+// seeking rather than played, so every analysed frame lands at a fixed video time no
+// matter how fast the detector runs. Timestamps are baseTime plus the video time.
+class VideoFilePoseSource {
+    constructor(detector, videoElement, options = {}) {
+        this.detector = detector;
+        this.videoElement = videoElement;
+        this.frameStep = 1 / (options.fps || 15); // seconds of video between analysed frames
+        this.baseTime = options.baseTime !== undefined ? options.baseTime : Date.now();
+        this.isLive = false;
+        this.time = 0;
+        this.stopped = false;
+    }
+
+    // Scales the video to fit maxWidth x maxHeight (keeping its aspect ratio) so
+    // keypoints come back in the same coordinates as the overlay canvas
+    static async fromFile(detector, file, options = {}) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = URL.createObjectURL(file);
+
+        await new Promise((resolve, reject) => {
+            video.onloadeddata = () => resolve();
+            video.onerror = () => reject(new Error('Unsupported video file'));
+        });
+
+        // Stepping stops at the duration, so a file without a usable one would never finish
+        await VideoFilePoseSource.findDuration(video);
+        if (!Number.isFinite(video.duration) || video.duration <= 0) {
+            URL.revokeObjectURL(video.src);
+            throw new Error('Could not read the length of this video file');
+        }
+
+        const scale = Math.min(
+            (options.maxWidth || 640) / video.videoWidth,
+            (options.maxHeight || 480) / video.videoHeight
+        );
+        video.width = Math.round(video.videoWidth * scale);
+        video.height = Math.round(video.videoHeight * scale);
+
+        return new VideoFilePoseSource(detector, video, options);
+    }
+
+    // Some recorded files (MediaRecorder webm) report an Infinity or NaN duration until the
+    // browser has seen their end; seeking far past it makes the browser work out the real one
+    static async findDuration(video) {
+        if (Number.isFinite(video.duration)) return;
+
+        await new Promise(resolve => {
+            video.onseeked = () => resolve();
+            video.ondurationchange = () => resolve();
+            video.currentTime = Number.MAX_SAFE_INTEGER;
+        });
+        video.ondurationchange = null;
+        await new Promise(resolve => {
+            video.onseeked = () => resolve();
+            video.currentTime = 0;
+        });
+        video.onseeked = null;
+    }
+
+    get duration() {
+        return this.videoElement.duration;
+    }
+
+    get progress() {
+        return this.duration > 0 ? Math.min(1, this.time / this.duration) : 1;
+    }
+
+    seekTo(seconds) {
+        const video = this.videoElement;
+        return new Promise(resolve => {
+            video.onseeked = () => resolve();
+            video.currentTime = Math.max(0, Math.min(seconds, video.duration));
+        });
+    }
+
+    async next() {
+        if (this.stopped || this.time > this.duration) return null;
+
+        const videoTime = this.time;
+        await this.seekTo(videoTime);
+        if (this.stopped) return null;
+
+        // Frame stepping is not real time, so FPS fallbacks don't apply (see pose-models.js)
+        let poses = await this.detector.estimatePoses(this.videoElement, { adaptive: false });
+        while (poses === null) {
+            await waitForRetry();
+            if (this.stopped) return null;
+            poses = await this.detector.estimatePoses(this.videoElement, { adaptive: false });
+        }
+        this.time += this.frameStep;
+
+        return {
+            poses,
+            timestamp: this.baseTime + Math.round(videoTime * 1000),
+            videoTime
+        };
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    // Frees the file once the video is no longer shown
+    release() {
+        this.stop();
+        URL.revokeObjectURL(this.videoElement.src);
+    }
+}
+
+// Frames from a recorded keypoint file or a saved workout, played back in recorded time.
+// speed scales playback (2 = twice as fast); speed 0 plays every frame as fast as possible.
+class RecordedPoseSource {
+    constructor(recording, options = {}) {
+        this.frames = RecordedPoseSource.normalize(recording);
+        this.speed = options.speed !== undefined ? options.speed : 1;
+        this.isLive = false;
+        this.index = 0;
+        this.playbackStart = null;
+        this.stopped = false;
+    }
+
+    // Accepts [{ timestamp, keypoints }], an encoded stream from pose-codec.js,
+    // a /workouts/:id/poses response, or a workout document with poses/encodedPoses
+    static normalize(recording) {
+        let frames = recording;
+
+        if (frames && !Array.isArray(frames)) {
+            if (frames.encodedPoses) {
+                frames = frames.encodedPoses;
+            } else if (frames.poses) {
+                frames = frames.poses;
+            }
+        }
+
+        if (frames && !Array.isArray(frames) && frames.frames) {
+            const decode = typeof decodePoses === 'function' ? decodePoses : require('./pose-codec').decodePoses;
+            frames = decode(frames);
+        }
+
+        if (!Array.isArray(frames)) {
+            throw new Error('Recording must contain an array of pose frames');
+        }
+
+        return frames
+            .filter(frame => frame && Array.isArray(frame.keypoints))
+            .map((frame, index) => ({
+                keypoints: frame.keypoints,
+                timestamp: Number.isFinite(frame.timestamp) ? frame.timestamp : index * 100
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    static async fromFile(file, options = {}) {
+        const text = await file.text();
+        return new RecordedPoseSource(JSON.parse(text), options);
+    }
+
+    // Pages through GET /workouts/:id/poses using PoseAI.getWorkoutPoses()
+    static async fromWorkout(api, workoutId, options = {}) {
+        const frames = [];
+        let from = 0;
+
+        while (from !== null) {
+            const page = await api.getWorkoutPoses(workoutId, { from, limit: 1000 });
+            frames.push(...page.poses);
+            from = page.pagination.nextFrom;
+        }
+
+        return new RecordedPoseSource(frames, options);
+    }
+
+    get length() {
+        return this.frames.length;
+    }
+
+    get progress() {
+        return this.frames.length > 0 ? this.index / this.frames.length : 1;
+    }
+
+    async next() {
+        if (this.stopped || this.index >= this.frames.length) return null;
+
+        const frame = this.frames[this.index];
+        const first = this.frames[0];
+
+        if (this.playbackStart === null) {
+            this.playbackStart = Date.now();
+        } else if (this.speed > 0) {
+            // Wait until this frame is due at the chosen playback speed
+            const dueAt = this.playbackStart + (frame.timestamp - first.timestamp) / this.speed;
+            const wait = dueAt - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        }
+
+        if (this.stopped) return null;
+
+        this.index++;
+        return {
+            poses: [{ keypoints: frame.keypoints, score: 1 }],
+            timestamp: frame.timestamp
+        };
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.CameraPoseSource = CameraPoseSource;
+    window.VideoFilePoseSource = VideoFilePoseSource;
+    window.RecordedPoseSource = RecordedPoseSource;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CameraPoseSource,
+        VideoFilePoseSource,
+        RecordedPoseSource
+    };
+}
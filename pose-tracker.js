@@ -0,0 +1,130 @@
+// Person tracking for multi-person workouts
+//
+// Gives every detected person a stable id across frames by matching each
+// pose to the nearest track (body centre distance, relative to body size).
+// A track that goes missing keeps its id for maxAgeMs so a brief occlusion
+// doesn't start a new person; after that it is remembered as lost for
+// forgetMs, and someone reappearing near it (or the only person in frame)
+// takes the id back. Locking restricts tracking to a single id.
+
+class PoseTracker {
+    constructor(options = {}) {
+        this.minScore = options.minScore || 0.3;
+        this.maxDistance = options.maxDistance || 0.75; // centre distance in body sizes
+        this.maxAgeMs = options.maxAgeMs || 1000;
+        this.forgetMs = options.forgetMs || 10000;
+        this.reset();
+    }
+
+    reset() {
+        this.tracks = []; // { id, x, y, size, lastSeen }
+        this.nextId = 1;
+        this.lockedId = null;
+    }
+
+    // Centre and size of the confident keypoints, or null when too few are visible
+    static describe(pose, minScore) {
+        const points = pose.keypoints.filter(kp => kp.score >= minScore);
+        if (points.length < 3) return null;
+
+        const xs = points.map(kp => kp.x);
+        const ys = points.map(kp => kp.y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+
+        return {
+            x: (minX + maxX) / 2,
+            y: (minY + maxY) / 2,
+            size: Math.max(maxX - minX, maxY - minY, 1)
+        };
+    }
+
+    lock(id) {
+        this.lockedId = id;
+    }
+
+    unlock() {
+        this.lockedId = null;
+    }
+
+    // Returns [{ id, pose }] for the people tracked in this frame, ordered by id
+    update(poses, timestamp) {
+        const detections = poses
+            .map(pose => ({ pose, box: PoseTracker.describe(pose, this.minScore) }))
+            .filter(detection => detection.box);
+
+        // Forget long-lost tracks, except the locked one
+        this.tracks = this.tracks.filter(track =>
+            track.id === this.lockedId || timestamp - track.lastSeen <= this.forgetMs);
+
+        const candidates = this.lockedId !== null
+            ? this.tracks.filter(track => track.id === this.lockedId)
+            : this.tracks;
+
+        // Greedy matching, closest pairs first; lost tracks get a wider search radius
+        const pairs = [];
+        detections.forEach((detection, d) => {
+            candidates.forEach((track, t) => {
+                const distance = Math.hypot(detection.box.x - track.x, detection.box.y - track.y) /
+                    Math.max(detection.box.size, track.size);
+                const lost = timestamp - track.lastSeen > this.maxAgeMs;
+                if (distance <= (lost ? this.maxDistance * 2 : this.maxDistance)) {
+                    pairs.push({ d, t, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matchedDetections = new Map(); // detection index -> track
+        const matchedTracks = new Set();
+        pairs.forEach(({ d, t }) => {
+            if (matchedDetections.has(d) || matchedTracks.has(t)) return;
+            matchedDetections.set(d, candidates[t]);
+            matchedTracks.add(t);
+        });
+
+        const unmatchedDetections = detections.map((_, d) => d).filter(d => !matchedDetections.has(d));
+        const unmatchedTracks = candidates.filter((_, t) => !matchedTracks.has(t));
+
+        // Only one person in frame and one track waiting for them: same person, wherever they
+        // moved. Never while locked, or someone else stepping in would take over the lock.
+        if (this.lockedId === null && detections.length === 1 &&
+            unmatchedDetections.length === 1 && unmatchedTracks.length === 1) {
+            matchedDetections.set(unmatchedDetections.pop(), unmatchedTracks.pop());
+        }
+
+        // Everyone else is new, unless tracking is locked to one person
+        if (this.lockedId === null) {
+            unmatchedDetections.forEach(d => {
+                const track = { id: this.nextId++ };
+                this.tracks.push(track);
+                matchedDetections.set(d, track);
+            });
+        }
+
+        const tracked = [];
+        matchedDetections.forEach((track, d) => {
+            const { pose, box } = detections[d];
+            track.x = box.x;
+            track.y = box.y;
+            track.size = box.size;
+            track.lastSeen = timestamp;
+            tracked.push({ id: track.id, pose });
+        });
+
+        return tracked.sort((a, b) => a.id - b.id);
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.PoseTracker = PoseTracker;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PoseTracker
+    };
+}
@@ -0,0 +1,113 @@
+// Pose inference worker, driven by WorkerPoseModelManager (pose-models.js)
+//
+// Messages in:  { type: 'load' | 'select', modelId, options }
+//               { type: 'estimate', id, bitmap, adaptive }
+//               { type: 'resetStats' }
+// Messages out: { type: 'loaded', modelId } / { type: 'loadError', message }
+//               { type: 'poses', id, poses, stats: { fps, metadata } }
+//               { type: 'dropped', id } when a newer frame arrived first
+//               { type: 'error', id, message }
+//               { type: 'modelChange', change }
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0/dist/tf.min.js',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.1.3/dist/pose-detection.min.js',
+    'pose-models.js'
+);
+
+let manager = null;
+let nextFrame = null; // newest frame waiting for the detector
+let processing = false;
+
+async function loadModel(message) {
+    try {
+        if (!manager) {
+            await tf.ready();
+            // Without WebGL in workers the CPU backend would be far slower than the main thread
+            if (tf.getBackend() !== 'webgl') {
+                throw new Error(`WebGL is not available in workers (backend: ${tf.getBackend()})`);
+            }
+
+            manager = new PoseModelManager({
+                ...message.options,
+                modelId: message.modelId,
+                onChange: change => self.postMessage({ type: 'modelChange', change })
+            });
+        }
+
+        if (message.type === 'select') {
+            await manager.select(message.modelId);
+        } else {
+            await manager.load(message.modelId);
+        }
+        self.postMessage({ type: 'loaded', modelId: manager.modelId });
+    } catch (error) {
+        self.postMessage({ type: 'loadError', message: error.message });
+    }
+}
+
+// Only the newest frame is kept; anything older is stale by the time the detector is free
+function queueFrame(message) {
+    if (nextFrame) {
+        nextFrame.bitmap.close();
+        self.postMessage({ type: 'dropped', id: nextFrame.id });
+    }
+    nextFrame = message;
+
+    if (!processing) {
+        processFrames();
+    }
+}
+
+async function processFrames() {
+    processing = true;
+
+    while (nextFrame) {
+        const frame = nextFrame;
+        nextFrame = null;
+
+        try {
+            const poses = await manager.estimatePoses(frame.bitmap, { adaptive: frame.adaptive });
+            if (!poses) {
+                // No detector while a fallback model loads
+                self.postMessage({ type: 'dropped', id: frame.id });
+                continue;
+            }
+            self.postMessage({
+                type: 'poses',
+                id: frame.id,
+                poses: poses.map(pose => ({ score: pose.score, keypoints: pose.keypoints })),
+                stats: { fps: manager.fps, metadata: manager.metadata() }
+            });
+        } catch (error) {
+            self.postMessage({ type: 'error', id: frame.id, message: error.message });
+        } finally {
+            frame.bitmap.close();
+        }
+    }
+
+    processing = false;
+}
+
+self.onmessage = event => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'load':
+        case 'select':
+            loadModel(message);
+            break;
+        case 'estimate':
+            if (!manager) {
+                message.bitmap.close();
+                self.postMessage({ type: 'dropped', id: message.id });
+                return;
+            }
+            queueFrame(message);
+            break;
+        case 'resetStats':
+            if (manager) {
+                manager.resetStats();
+            }
+            break;
+    }
+};
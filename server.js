@@ -7,6 +7,10 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const { decodePoses } = require('./pose-codec');
+const { ExerciseEngine, CalorieMath, exerciseRegistry } = require('./exercises');
+const { MEASUREMENT_FIELDS, MEASUREMENT_TYPES } = require('./body-landmarks');
+const { PoseFilter } = require('./pose-filter');
 require('dotenv').config();
 
 const app = express();
@@ -55,38 +59,127 @@ const userSchema = new mongoose.Schema({
 
 const workoutSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    idempotencyKey: { type: String }, // client-generated, makes retried saves safe
     date: { type: Date, required: true },
     duration: { type: Number, required: true }, // in seconds
     exerciseType: { type: String, required: true },
+    source: { type: String, enum: ['camera', 'video'] }, // how a tracked workout was captured
+    groupSessionId: { type: String }, // shared by the workouts saved from one multi-person session
+    participant: { // which tracked person this workout belongs to in a group session
+        trackId: { type: Number },
+        label: { type: String }
+    },
+    program: { // interval/circuit program this workout ran, exerciseType is then 'program'
+        id: { type: String },
+        name: { type: String }
+    },
+    blocks: [{ // one entry per program block, in order (see workout-programs.js)
+        _id: false,
+        index: Number,
+        type: { type: String, enum: ['exercise', 'rest'] },
+        exerciseType: String,
+        label: String,
+        targetReps: Number,
+        targetDuration: Number, // seconds
+        completed: Boolean, // false for the block the program was stopped in
+        duration: Number, // seconds
+        reps: Number,
+        partialReps: Number,
+        holdMetrics: {
+            totalHold: Number,
+            longestHold: Number,
+            holdCount: Number
+        },
+        avgFormScore: Number,
+        postureAlerts: Number,
+        cadence: Number,
+        calories: Number
+    }],
     reps: { type: Number, default: 0 },
     calories: { type: Number, default: 0 },
     avgFormScore: { type: Number, default: 0 },
-    poses: [{ // Store pose data for analysis
-        timestamp: Number,
-        keypoints: [{
-            x: Number,
-            y: Number,
-            score: Number,
-            name: String
-        }]
-    }],
+    poseFrameCount: { type: Number, default: 0 }, // frames stored in PoseChunk, see /api/workouts/:id/poses
     feedback: [String], // AI feedback messages
+    repDetails: [{ // per-rep results from the exercise engine
+        number: Number,
+        valid: Boolean, // false for partial reps (e.g. shallow squats)
+        startTime: Number,
+        endTime: Number,
+        duration: Number, // seconds
+        issues: [String], // form rule ids flagged during the rep
+        block: Number, // program block index, for program workouts
+        metrics: mongoose.Schema.Types.Mixed // exercise-specific summary, e.g. squat depth
+    }],
+    holdMetrics: { // timed holds (plank) record these instead of reps
+        totalHold: { type: Number, default: 0 }, // seconds in a valid position
+        longestHold: { type: Number, default: 0 }, // seconds
+        holdCount: { type: Number, default: 0 },
+        events: { type: Map, of: Number } // form rule id -> times it fired, e.g. hip-sag
+    },
     completed: { type: Boolean, default: false },
     // Enhanced fields for pushup calculator integration
     formQuality: {
         backStraightness: { type: Number, default: 0 }, // 0-100 score
         elbowAngle: { type: Number, default: 0 }, // average elbow angle
         postureAlerts: { type: Number, default: 0 }, // count of posture corrections
+        asymmetry: { type: Map, of: { average: Number, max: Number } }, // joint -> left/right angle difference in degrees
         voiceFeedbackEnabled: { type: Boolean, default: true }
     },
+    metadata: { // capture details for tracked workouts
+        poseModel: { type: String }, // model in use at the end, e.g. movenet-lightning after a fallback
+        requestedModel: { type: String }, // model the user picked
+        inputScale: { type: Number }, // fraction of the camera resolution fed to the model
+        averageFps: { type: Number },
+        lowestFps: { type: Number },
+        modelChanges: [{ // automatic fallbacks when the frame rate dropped
+            _id: false,
+            from: String,
+            to: String,
+            inputScale: Number,
+            fps: Number,
+            at: Number // ms timestamp
+        }]
+    },
     exerciseMetrics: {
         targetReps: { type: Number, default: 0 },
         maxConsecutiveReps: { type: Number, default: 0 },
         averageRepDuration: { type: Number, default: 0 }, // seconds per rep
+        cadence: { type: Number, default: 0 }, // reps per minute
         formTrend: { type: String, default: 'stable' } // improving, stable, declining
     }
 });
 
+workoutSchema.index(
+    { userId: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Pose frames live outside the workout document (which would hit MongoDB's 16MB limit)
+// in fixed-size chunks ordered by index
+const POSE_CHUNK_SIZE = 300; // frames per chunk, ~30s at the client's 10 fps sample rate
+
+const poseChunkSchema = new mongoose.Schema({
+    workoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workout', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    index: { type: Number, required: true }, // chunk sequence within the workout
+    startTime: { type: Number, required: true }, // timestamp of the first frame (ms)
+    endTime: { type: Number, required: true }, // timestamp of the last frame (ms)
+    frameCount: { type: Number, required: true },
+    poses: [{
+        _id: false,
+        timestamp: Number,
+        keypoints: [{
+            _id: false,
+            x: Number,
+            y: Number,
+            score: Number,
+            name: String
+        }]
+    }]
+});
+
+poseChunkSchema.index({ workoutId: 1, index: 1 }, { unique: true });
+
 const progressSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     date: { type: Date, required: true },
@@ -112,26 +205,54 @@ const paymentSchema = new mongoose.Schema({
 const bodyMeasurementSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     timestamp: { type: Date, required: true, default: Date.now },
-    chest: { type: Number }, // cm
+    chest: { type: Number }, // cm, shoulder width on measurements saved before shoulderWidth
+    shoulderWidth: { type: Number }, // cm, between the shoulder joints
     leftBicep: { type: Number }, // cm
     rightBicep: { type: Number }, // cm
+    // Landmark lengths in cm (body-landmarks.js)
+    leftForearmLength: { type: Number },
+    rightForearmLength: { type: Number },
+    armSpan: { type: Number },
+    hipWidth: { type: Number }, // between the hip joints
+    torsoLength: { type: Number }, // shoulder midpoint to hip midpoint
+    inseam: { type: Number }, // hip joint to ankle along the leg
+    leftThighLength: { type: Number },
+    rightThighLength: { type: Number },
+    leftShinLength: { type: Number },
+    rightShinLength: { type: Number },
+    // Circumferences in cm, estimated from front and side silhouettes (body-circumference.js)
+    chestCircumference: { type: Number },
+    waistCircumference: { type: Number },
+    hipCircumference: { type: Number },
+    thighCircumference: { type: Number },
+    upperArmCircumference: { type: Number },
     scaleCmPerPixel: { type: Number }, // calibration scale
     measurementType: { 
         type: String, 
-        enum: ['chest', 'bicep', 'full_body'], 
+        enum: MEASUREMENT_TYPES, 
         default: 'full_body' 
     },
-    confidence: { type: Number, default: 0 }, // AI confidence score
+    confidence: { type: Number, default: 0 }, // 0-1, average of the saved values' confidence
+    // Per measurement field: frame-to-frame spread in cm and confidence 0-1
+    quality: { type: Map, of: { _id: false, spread: Number, confidence: Number } },
     metadata: {
-        poseConfidence: { type: Number },
+        poseConfidence: { type: Number }, // median keypoint score over the capture
         calibrationFrames: { type: Number },
-        deviceInfo: { type: String }
+        captureFrames: { type: Number }, // frames the measurements are the median of
+        calibrationMethod: { type: String, enum: ['reference', 'height'] }, // how scaleCmPerPixel was found
+        calibrationReference: { type: String }, // reference object id, e.g. credit-card
+        calibrationHeight: { type: Number }, // cm, the stated height a height calibration used
+        calibrationError: { type: Number }, // frame-to-frame spread of the scale, percent
+        deviceInfo: { type: String },
+        poseModel: { type: String },
+        averageFps: { type: Number }
     },
     createdAt: { type: Date, default: Date.now }
 });
 
 const User = mongoose.model('User', userSchema);
 const Workout = mongoose.model('Workout', workoutSchema);
+const PoseChunk = mongoose.model('PoseChunk', poseChunkSchema);
 const Progress = mongoose.model('Progress', progressSchema);
 const Payment = mongoose.model('Payment', paymentSchema);
 const BodyMeasurement = mongoose.model('BodyMeasurement', bodyMeasurementSchema);
@@ -307,14 +428,80 @@ app.put('/api/user/profile', authenticateToken, async (req, res) => {
 // Workout Routes
 app.post('/api/workouts', authenticateToken, async (req, res) => {
     try {
+        const { idempotencyKey } = req.body;
+
+        if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || idempotencyKey.length > 100)) {
+            return res.status(400).json({ error: 'Invalid idempotency key' });
+        }
+
+        // A retry of a save that already went through returns the original workout
+        if (idempotencyKey) {
+            const existing = await Workout.findOne({ userId: req.user.userId, idempotencyKey });
+            if (existing) {
+                return res.json({
+                    message: 'Workout already saved',
+                    workout: existing
+                });
+            }
+        }
+
+        const { encodedPoses, poses: rawPoses, ...body } = req.body;
+
+        // Clients send poses compactly encoded; expand them back into frames
+        let poses;
+        try {
+            poses = parsePoses(rawPoses, encodedPoses);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid pose data: ${error.message}` });
+        }
+
+        // Stored frames are chunked by timestamp, so each one needs its own on top of valid keypoints
+        if (!Array.isArray(poses)) {
+            return res.status(400).json({ error: 'Invalid pose data: poses must be an array' });
+        }
+        const untimed = poses.findIndex(frame => !frame || !Number.isFinite(frame.timestamp));
+        const framesError = poseFramesError(poses) ||
+            (untimed !== -1 ? `frame ${untimed} has no numeric timestamp` : null);
+        if (framesError) {
+            return res.status(400).json({ error: `Invalid pose data: ${framesError}` });
+        }
+
+        // Tracked workouts get their calories recomputed from the profile on record
+        if (body.source) {
+            body.calories = await estimateWorkoutCalories(req.user.userId, body);
+        }
+
         const workoutData = {
-            ...req.body,
+            ...body,
             userId: req.user.userId,
-            date: new Date()
+            date: new Date(),
+            poseFrameCount: poses.length
         };
 
         const workout = new Workout(workoutData);
-        await workout.save();
+        try {
+            await workout.save();
+        } catch (error) {
+            // Two retries raced past the lookup; the unique index kept only one
+            if (error.code === 11000 && idempotencyKey) {
+                const existing = await Workout.findOne({ userId: req.user.userId, idempotencyKey });
+                return res.json({
+                    message: 'Workout already saved',
+                    workout: existing
+                });
+            }
+            throw error;
+        }
+
+        // A workout without its chunks would claim frames it doesn't have, and a retry
+        // would be turned away as already saved; undo the save so the retry redoes it all
+        try {
+            await savePoseChunks(workout, poses);
+        } catch (error) {
+            await PoseChunk.deleteMany({ workoutId: workout._id });
+            await Workout.deleteOne({ _id: workout._id });
+            throw error;
+        }
 
         // Update progress
         await updateProgress(req.user.userId, workout);
@@ -342,7 +529,9 @@ app.get('/api/workouts', authenticateToken, async (req, res) => {
             };
         }
 
+        // Older workouts embedded their poses; never ship those in a list
         const workouts = await Workout.find(query)
+            .select('-poses')
             .sort({ date: -1 })
             .skip(skip)
             .limit(parseInt(limit));
@@ -384,7 +573,7 @@ app.get('/api/workouts/stats', authenticateToken, async (req, res) => {
         const stats = await Workout.aggregate([
             {
                 $match: {
-                    userId: mongoose.Types.ObjectId(req.user.userId),
+                    userId: new mongoose.Types.ObjectId(req.user.userId),
                     date: { $gte: startDate }
                 }
             },
@@ -415,6 +604,67 @@ app.get('/api/workouts/stats', authenticateToken, async (req, res) => {
     }
 });
 
+// Pose frames for one workout, paged by time range: pass the returned nextFrom as from to continue
+app.get('/api/workouts/:id/poses', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const from = req.query.from !== undefined ? Number(req.query.from) : 0;
+        const to = req.query.to !== undefined ? Number(req.query.to) : Number.MAX_SAFE_INTEGER;
+        const requestedLimit = req.query.limit !== undefined ? Number(req.query.limit) : POSE_CHUNK_SIZE;
+        const limit = Math.min(requestedLimit, 5000);
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: 'Workout not found' });
+        }
+        if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+        if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+            return res.status(400).json({ error: 'limit must be a positive whole number' });
+        }
+
+        const workout = await Workout.findOne({ _id: id, userId: req.user.userId }).select('poseFrameCount');
+        if (!workout) {
+            return res.status(404).json({ error: 'Workout not found' });
+        }
+
+        const chunks = PoseChunk.find({
+            workoutId: workout._id,
+            endTime: { $gte: from },
+            startTime: { $lte: to }
+        }).sort({ index: 1 }).cursor();
+
+        // Collect one frame past the limit to know where the next page starts
+        const poses = [];
+        for await (const chunk of chunks) {
+            for (const pose of chunk.poses) {
+                if (pose.timestamp >= from && pose.timestamp <= to) {
+                    poses.push(pose);
+                }
+            }
+            if (poses.length > limit) break;
+        }
+        await chunks.close();
+
+        const next = poses.length > limit ? poses[limit] : null;
+
+        res.json({
+            workoutId: workout._id,
+            poses: poses.slice(0, limit),
+            pagination: {
+                from,
+                to: req.query.to !== undefined ? to : null,
+                limit,
+                total: workout.poseFrameCount,
+                nextFrom: next ? next.timestamp : null
+            }
+        });
+    } catch (error) {
+        console.error('Workout poses fetch error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Progress Routes
 app.get('/api/progress', authenticateToken, async (req, res) => {
     try {
@@ -448,17 +698,37 @@ app.get('/api/progress', authenticateToken, async (req, res) => {
 // AI Analysis Routes
 app.post('/api/ai/analyze', authenticateToken, upload.single('media'), async (req, res) => {
     try {
-        const { poses, exerciseType } = req.body;
-        
-        // Simulate AI analysis (in real implementation, this would use TensorFlow.js)
-        const analysis = {
-            formScore: Math.random() * 100,
-            feedback: generateFeedback(exerciseType, JSON.parse(poses)),
-            suggestions: generateSuggestions(exerciseType),
-            corrected: false
-        };
+        const { poses, encodedPoses, exerciseType } = req.body;
 
-        res.json(analysis);
+        if (!exerciseRegistry.has(exerciseType)) {
+            return res.status(400).json({ error: 'Unsupported exercise type' });
+        }
+
+        let frames;
+        try {
+            frames = parsePoses(poses, encodedPoses);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid pose data: ${error.message}` });
+        }
+
+        if (!Array.isArray(frames) || frames.length === 0) {
+            return res.status(400).json({ error: 'Pose data is required' });
+        }
+        const framesError = poseFramesError(frames);
+        if (framesError) {
+            return res.status(400).json({ error: `Invalid pose data: ${framesError}` });
+        }
+
+        // Replays the keypoint sequence through the same exercise engine the client runs,
+        // so identical input always produces an identical analysis
+        const analysis = analyzePoses(exerciseType, frames);
+
+        res.json({
+            ...analysis,
+            feedback: generateFeedback(analysis),
+            suggestions: generateSuggestions(exerciseType, analysis),
+            corrected: false
+        });
     } catch (error) {
         console.error('AI analysis error:', error);
         res.status(500).json({ error: 'Server error' });
@@ -569,25 +839,54 @@ app.post('/api/subscriptions/confirm', authenticateToken, async (req, res) => {
 // Body Measurement Routes
 app.post('/api/measurements', authenticateToken, async (req, res) => {
     try {
-        const { chest, leftBicep, rightBicep, scaleCmPerPixel, measurementType = 'full_body', metadata = {} } = req.body;
+        const { scaleCmPerPixel, measurementType = 'full_body', quality = {}, metadata = {} } = req.body;
         
-        // Validate measurement data
-        if (!chest && !leftBicep && !rightBicep) {
+        // Validate measurement data: every value sent has to be a plausible size in cm
+        const values = {};
+        for (const { field, name, range } of MEASUREMENT_FIELDS) {
+            const value = req.body[field];
+            if (value === undefined || value === null) continue;
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < range[0] || value > range[1]) {
+                return res.status(400).json({ error: `${name} must be between ${range[0]} and ${range[1]} cm` });
+            }
+            values[field] = value;
+        }
+        if (Object.keys(values).length === 0) {
             return res.status(400).json({ error: 'At least one measurement is required' });
         }
+        if (!MEASUREMENT_TYPES.includes(measurementType)) {
+            return res.status(400).json({ error: `measurementType must be one of: ${MEASUREMENT_TYPES.join(', ')}` });
+        }
+        
+        // Quality is only kept for values that were saved
+        const isShare = value => typeof value === 'number' && value >= 0 && value <= 1;
+        const measurementQuality = {};
+        Object.keys(values).forEach(field => {
+            const fieldQuality = quality[field];
+            if (fieldQuality && isShare(fieldQuality.confidence) && Number.isFinite(fieldQuality.spread) && fieldQuality.spread >= 0) {
+                measurementQuality[field] = { spread: fieldQuality.spread, confidence: fieldQuality.confidence };
+            }
+        });
+        const confidence = isShare(req.body.confidence) ? req.body.confidence : (metadata.poseConfidence || 0);
         
         const measurementData = {
             userId: req.user.userId,
-            chest,
-            leftBicep,
-            rightBicep,
+            ...values,
             scaleCmPerPixel,
             measurementType,
-            confidence: metadata.poseConfidence || 0,
+            confidence,
+            quality: measurementQuality,
             metadata: {
                 poseConfidence: metadata.poseConfidence || 0,
                 calibrationFrames: metadata.calibrationFrames || 0,
-                deviceInfo: metadata.deviceInfo || 'web'
+                captureFrames: metadata.captureFrames || 0,
+                calibrationMethod: metadata.calibrationMethod,
+                calibrationReference: metadata.calibrationReference,
+                calibrationHeight: metadata.calibrationHeight,
+                calibrationError: metadata.calibrationError,
+                deviceInfo: metadata.deviceInfo || 'web',
+                poseModel: metadata.poseModel,
+                averageFps: metadata.averageFps
             },
             timestamp: new Date()
         };
@@ -665,7 +964,7 @@ app.get('/api/measurements/stats', authenticateToken, async (req, res) => {
         const stats = await BodyMeasurement.aggregate([
             {
                 $match: {
-                    userId: mongoose.Types.ObjectId(req.user.userId),
+                    userId: new mongoose.Types.ObjectId(req.user.userId),
                     timestamp: { $gte: startDate }
                 }
             },
@@ -673,12 +972,15 @@ app.get('/api/measurements/stats', authenticateToken, async (req, res) => {
                 $group: {
                     _id: null,
                     avgChest: { $avg: '$chest' },
+                    avgShoulderWidth: { $avg: '$shoulderWidth' },
                     avgLeftBicep: { $avg: '$leftBicep' },
                     avgRightBicep: { $avg: '$rightBicep' },
                     maxChest: { $max: '$chest' },
+                    maxShoulderWidth: { $max: '$shoulderWidth' },
                     maxLeftBicep: { $max: '$leftBicep' },
                     maxRightBicep: { $max: '$rightBicep' },
                     minChest: { $min: '$chest' },
+                    minShoulderWidth: { $min: '$shoulderWidth' },
                     minLeftBicep: { $min: '$leftBicep' },
                     minRightBicep: { $min: '$rightBicep' },
                     totalMeasurements: { $sum: 1 },
@@ -689,12 +991,15 @@ app.get('/api/measurements/stats', authenticateToken, async (req, res) => {
 
         const result = stats[0] || {
             avgChest: 0,
+            avgShoulderWidth: 0,
             avgLeftBicep: 0,
             avgRightBicep: 0,
             maxChest: 0,
+            maxShoulderWidth: 0,
             maxLeftBicep: 0,
             maxRightBicep: 0,
             minChest: 0,
+            minShoulderWidth: 0,
             minLeftBicep: 0,
             minRightBicep: 0,
             totalMeasurements: 0,
@@ -748,6 +1053,41 @@ app.delete('/api/measurements/:id', authenticateToken, async (req, res) => {
 });
 
 // Helper Functions
+
+// MET-based calories for a tracked workout (see CalorieMath in exercises.js), using the
+// user's weight and age. Exercises the server doesn't know keep the client's figure.
+// Programs are the sum of their blocks, rests counted at the resting rate.
+async function estimateWorkoutCalories(userId, workout) {
+    if (Array.isArray(workout.blocks) && workout.blocks.length > 0) {
+        const unknown = workout.blocks.some(block => block.type === 'exercise' && !exerciseRegistry.get(block.exerciseType));
+        if (unknown) {
+            return workout.calories;
+        }
+
+        const user = await User.findById(userId).select('profile');
+        return workout.blocks.reduce((total, block) => total + CalorieMath.estimate(
+            block.type === 'exercise' ? exerciseRegistry.get(block.exerciseType) : null, {
+                duration: block.duration,
+                reps: block.reps,
+                cadence: block.cadence,
+                holdSeconds: block.holdMetrics ? block.holdMetrics.totalHold : 0
+            }, (user && user.profile) || {}), 0);
+    }
+
+    const definition = exerciseRegistry.get(workout.exerciseType);
+    if (!definition || !(workout.duration > 0)) {
+        return workout.calories;
+    }
+
+    const user = await User.findById(userId).select('profile');
+    return CalorieMath.estimate(definition, {
+        duration: workout.duration,
+        reps: workout.reps,
+        cadence: workout.exerciseMetrics ? workout.exerciseMetrics.cadence : 0,
+        holdSeconds: workout.holdMetrics ? workout.holdMetrics.totalHold : 0
+    }, (user && user.profile) || {});
+}
+
 async function updateProgress(userId, workout) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -772,27 +1112,164 @@ async function updateProgress(userId, workout) {
     await progress.save();
 }
 
-function generateFeedback(exerciseType, poses) {
+async function savePoseChunks(workout, poses) {
+    const chunks = [];
+
+    for (let start = 0; start < poses.length; start += POSE_CHUNK_SIZE) {
+        const framePoses = poses.slice(start, start + POSE_CHUNK_SIZE);
+        chunks.push({
+            workoutId: workout._id,
+            userId: workout.userId,
+            index: chunks.length,
+            startTime: framePoses[0].timestamp,
+            endTime: framePoses[framePoses.length - 1].timestamp,
+            frameCount: framePoses.length,
+            poses: framePoses
+        });
+    }
+
+    if (chunks.length > 0) {
+        await PoseChunk.insertMany(chunks);
+    }
+}
+
+// Accepts the compact encoding from pose-codec.js, or a raw poses array (optionally as a JSON string)
+function parsePoses(poses, encodedPoses) {
+    if (encodedPoses) {
+        return decodePoses(typeof encodedPoses === 'string' ? JSON.parse(encodedPoses) : encodedPoses);
+    }
+    return typeof poses === 'string' ? JSON.parse(poses) : (poses || []);
+}
+
+// Frames have to be { timestamp, keypoints: [{ x, y, score }] } before they reach the pose
+// filter and exercise engine; returns what is wrong with them, or null
+function poseFramesError(frames) {
+    for (let index = 0; index < frames.length; index++) {
+        const frame = frames[index];
+        if (!frame || typeof frame !== 'object' || !Array.isArray(frame.keypoints)) {
+            return `frame ${index} has no keypoints array`;
+        }
+        const keypoint = frame.keypoints.findIndex(kp => !kp || typeof kp !== 'object' ||
+            !Number.isFinite(kp.x) || !Number.isFinite(kp.y) ||
+            (kp.score !== undefined && !Number.isFinite(kp.score)));
+        if (keypoint !== -1) {
+            return `keypoint ${keypoint} of frame ${index} needs numeric x, y and score`;
+        }
+    }
+    return null;
+}
+
+const FRAME_INTERVAL_MS = 100; // assumed spacing for frames submitted without timestamps
+const REP_ISSUE_PENALTY = 15;
+
+function analyzePoses(exerciseType, poses) {
+    const definition = exerciseRegistry.get(exerciseType);
+    const engine = new ExerciseEngine(definition);
+    const poseFilter = new PoseFilter(); // same smoothing the client applies before its engine
+    const frames = poses
+        .map((pose, index) => ({
+            keypoints: pose.keypoints,
+            timestamp: Number.isFinite(pose.timestamp) ? pose.timestamp : index * FRAME_INTERVAL_MS
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    const violationFrames = {};
+    let frameScoreTotal = 0;
+
+    frames.forEach(frame => {
+        const result = engine.update(poseFilter.filter(frame, frame.timestamp), frame.timestamp);
+        let frameScore = 100;
+
+        result.violations.forEach(rule => {
+            violationFrames[rule.id] = (violationFrames[rule.id] || 0) + 1;
+            frameScore -= rule.penalty || 20;
+        });
+        frameScoreTotal += Math.max(0, frameScore);
+    });
+
+    const duration = frames.length > 1 ? (frames[frames.length - 1].timestamp - frames[0].timestamp) / 1000 : 0;
+    const violations = definition.formRules
+        .filter(rule => engine.alertCounts[rule.id])
+        .map(rule => ({
+            id: rule.id,
+            message: rule.message,
+            occurrences: engine.alertCounts[rule.id],
+            frames: violationFrames[rule.id]
+        }));
+
+    // Each distinct issue in a rep costs the same, a partial rep included
+    const repBreakdown = engine.repHistory.map(rep => ({
+        ...rep,
+        score: Math.max(0, 100 - REP_ISSUE_PENALTY * rep.issues.length),
+        message: rep.valid ? null : engine.partialMessage(rep)
+    }));
+
+    let formScore;
+    if (definition.mode === 'hold') {
+        formScore = duration > 0 ? Math.min(100, engine.hold.total / duration * 100) : 0;
+    } else if (repBreakdown.length > 0) {
+        formScore = repBreakdown.reduce((sum, rep) => sum + rep.score, 0) / repBreakdown.length;
+    } else {
+        formScore = frames.length > 0 ? frameScoreTotal / frames.length : 0;
+    }
+
+    return {
+        exerciseType,
+        framesAnalyzed: frames.length,
+        duration: Math.round(duration * 10) / 10,
+        formScore: Math.round(formScore * 10) / 10,
+        reps: engine.reps,
+        partialReps: repBreakdown.filter(rep => !rep.valid).length,
+        repBreakdown,
+        ...ExerciseEngine.summarizeReps(engine.repHistory),
+        holdMetrics: definition.mode === 'hold' ? engine.holdSummary() : undefined,
+        asymmetry: engine.asymmetrySummary(),
+        violations
+    };
+}
+
+function generateFeedback(analysis) {
     const feedback = [];
-    
-    // Simulate feedback generation based on exercise type
-    if (exerciseType === 'squats') {
-        feedback.push('Keep your back straight');
-        feedback.push('Go deeper for better form');
-    } else if (exerciseType === 'pushups') {
-        feedback.push('Maintain proper alignment');
-        feedback.push('Full range of motion');
+    const totalReps = analysis.repBreakdown.length;
+
+    if (analysis.holdMetrics) {
+        feedback.push(`Longest valid hold: ${analysis.holdMetrics.longestHold}s (${analysis.holdMetrics.totalHold}s in position)`);
+    } else if (totalReps === 0) {
+        feedback.push('No complete reps detected - make sure your whole body is in frame');
+    } else {
+        feedback.push(`${analysis.reps} of ${totalReps} reps counted`);
     }
 
+    // Most frequent problems first
+    [...analysis.violations]
+        .sort((a, b) => b.occurrences - a.occurrences)
+        .forEach(violation => {
+            const repsAffected = analysis.repBreakdown.filter(rep => rep.issues.includes(violation.id)).length;
+            feedback.push(totalReps > 0
+                ? `${violation.message} (flagged on ${repsAffected} of ${totalReps} reps)`
+                : `${violation.message} (flagged ${violation.occurrences} times)`);
+        });
+
+    const partialMessages = new Set(analysis.repBreakdown.filter(rep => !rep.valid).map(rep => rep.message));
+    partialMessages.forEach(message => feedback.push(message));
+
     return feedback;
 }
 
-function generateSuggestions(exerciseType) {
-    const suggestions = [
-        'Focus on breathing',
-        'Maintain steady pace',
-        'Rest between sets if needed'
-    ];
+function generateSuggestions(exerciseType, analysis) {
+    const suggestions = [];
+
+    if (analysis.averageRepDuration > 0 && analysis.averageRepDuration < 1.5) {
+        suggestions.push('Slow down - control each rep on the way down');
+    }
+    if (analysis.partialReps > 0) {
+        suggestions.push('Use the full range of motion on every rep');
+    }
+    if (analysis.holdMetrics && analysis.holdMetrics.longestHold < 30) {
+        suggestions.push('Build up to 30 second holds with short rests in between');
+    }
+
+    suggestions.push('Focus on breathing', 'Rest between sets if needed');
 
     return suggestions;
 }
@@ -809,6 +1286,11 @@ function getPlanPrice(planId) {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Body parsing errors (413 over the size limit, 400 malformed JSON) are the client's,
+    // and a client retrying them would fail the same way
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
     console.error(err.stack);
     res.status(500).json({ error: 'Something went wrong!' });
 });
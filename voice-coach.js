@@ -0,0 +1,161 @@
+// Voice coaching for PoseAI
+//
+// Every spoken cue goes through one queue so cues never talk over each other.
+// A cue's type sets its priority and cooldown: a form warning repeats at most
+// every 8 seconds while it persists, and rep counts are interruptible, so a
+// fast set hears the latest count rather than a backlog of old ones. Cues that
+// wait in the queue longer than their type's maxWait are dropped as stale.
+
+const CUE_TYPES = {
+    system: { priority: 4, cooldown: 0, maxWait: null },         // session events, gesture confirmations
+    warning: { priority: 3, cooldown: 8000, maxWait: 3000 },     // form rule violations, keyed by rule id
+    partial: { priority: 2, cooldown: 3000, maxWait: 2000 },     // rep not counted
+    count: { priority: 2, cooldown: 0, maxWait: 1500, interruptible: true },
+    encouragement: { priority: 1, cooldown: 10000, maxWait: 3000 },
+    cue: { priority: 0, cooldown: 2000, maxWait: 1000 }          // phase cues such as "Up"
+};
+
+class VoiceCoach {
+    constructor(options = {}) {
+        this.synth = options.synth !== undefined
+            ? options.synth
+            : (typeof window !== 'undefined' && 'speechSynthesis' in window ? window.speechSynthesis : null);
+        this.Utterance = options.Utterance ||
+            (typeof SpeechSynthesisUtterance !== 'undefined' ? SpeechSynthesisUtterance : null);
+        this.cueTypes = { ...CUE_TYPES, ...options.cueTypes };
+        this.settings = {
+            enabled: true,
+            voice: null, // voice name, see voices()
+            lang: null,  // used when no voice is picked, e.g. 'en-US'
+            rate: 1,
+            pitch: 1,
+            volume: 1
+        };
+        this.queue = [];
+        this.current = null;
+        this.lastSpoken = new Map(); // cue key -> time it was last spoken
+        this.configure(options);
+    }
+
+    configure(settings = {}) {
+        Object.keys(this.settings).forEach(name => {
+            if (settings[name] !== undefined) {
+                this.settings[name] = settings[name];
+            }
+        });
+
+        if (!this.settings.enabled) {
+            this.clear();
+        }
+    }
+
+    // Installed voices, optionally for one language ('en' matches 'en-US', 'en-GB', ...)
+    voices(lang) {
+        if (!this.synth) return [];
+        return this.synth.getVoices().filter(voice => !lang || voice.lang.startsWith(lang));
+    }
+
+    languages() {
+        return Array.from(new Set(this.voices().map(voice => voice.lang))).sort();
+    }
+
+    // Queues text to be spoken. Returns false when the cue was dropped because
+    // coaching is off, the cue is cooling down or the same cue is already waiting.
+    say(text, options = {}) {
+        if (!text || !this.settings.enabled || !this.synth || !this.Utterance) return false;
+
+        const type = this.cueTypes[options.type] ? options.type : 'system';
+        const config = this.cueTypes[type];
+        const key = `${type}:${options.key || text}`;
+        const now = Date.now();
+
+        const last = this.lastSpoken.get(key);
+        if (last !== undefined && now - last < config.cooldown) return false;
+        if (this.queue.some(cue => cue.key === key)) return false;
+
+        // Only the newest interruptible cue of a type is worth saying
+        if (config.interruptible) {
+            this.queue = this.queue.filter(cue => cue.type !== type);
+        }
+
+        const cue = { text, type, key, priority: config.priority, queuedAt: now };
+        this.queue.push(cue);
+        this.queue.sort((a, b) => b.priority - a.priority || a.queuedAt - b.queuedAt);
+
+        const current = this.current;
+        if (!current) {
+            this.speakNext();
+        } else if (this.cueTypes[current.type].interruptible &&
+            (cue.priority > current.priority || cue.type === current.type)) {
+            this.current = null;
+            this.synth.cancel();
+            this.speakNext();
+        }
+        return true;
+    }
+
+    speakNext() {
+        const now = Date.now();
+        this.queue = this.queue.filter(cue => {
+            const maxWait = this.cueTypes[cue.type].maxWait;
+            return !maxWait || now - cue.queuedAt <= maxWait;
+        });
+
+        const cue = this.queue.shift() || null;
+        this.current = cue;
+        if (!cue) return;
+
+        this.lastSpoken.set(cue.key, now);
+
+        const { voice, lang, rate, pitch, volume } = this.settings;
+        const utterance = new this.Utterance(cue.text);
+        utterance.rate = rate;
+        utterance.pitch = pitch;
+        utterance.volume = volume;
+
+        const selected = voice ? this.voices().find(candidate => candidate.name === voice) : null;
+        if (selected) {
+            utterance.voice = selected;
+            utterance.lang = selected.lang;
+        } else if (lang) {
+            utterance.lang = lang;
+        }
+
+        // A cancelled cue still fires onend/onerror; only the cue being spoken moves the queue on
+        const done = () => {
+            if (this.current === cue) {
+                this.speakNext();
+            }
+        };
+        utterance.onend = done;
+        utterance.onerror = done;
+        this.synth.speak(utterance);
+    }
+
+    // Stops speaking and drops everything queued
+    clear() {
+        this.queue = [];
+        this.current = null;
+        if (this.synth) {
+            this.synth.cancel();
+        }
+    }
+
+    // Cooldowns start over, e.g. for a new set
+    reset() {
+        this.lastSpoken.clear();
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.CUE_TYPES = CUE_TYPES;
+    window.VoiceCoach = VoiceCoach;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CUE_TYPES,
+        VoiceCoach
+    };
+}
@@ -0,0 +1,214 @@
+// Interval and circuit programs for PoseAI
+//
+// A program is an ordered list of blocks. Exercise blocks end after a number
+// of reps, or after a number of seconds (seconds actually held, for holds such
+// as plank); rest blocks end after their seconds run out. `sets` repeats an
+// exercise block, with `rest` seconds between the sets. WorkoutProgram.parse()
+// reads the short form typed into the demo, e.g. "3x12 push-ups, 60s rest, 45s plank".
+
+const ProgramExercises = typeof exerciseRegistry !== 'undefined' ? exerciseRegistry : require('./exercises').exerciseRegistry;
+
+const PROGRAM_PRESETS = [
+    {
+        id: 'push-and-hold',
+        name: 'Push & Hold',
+        blocks: [
+            { exercise: 'pushups', reps: 12, sets: 3, rest: 30 },
+            { rest: 60 },
+            { exercise: 'plank', duration: 45 }
+        ]
+    },
+    {
+        id: 'leg-circuit',
+        name: 'Leg Circuit',
+        blocks: [
+            { exercise: 'squats', reps: 15, sets: 3, rest: 30 },
+            { rest: 45 },
+            { exercise: 'jumping-jacks', duration: 30, sets: 2, rest: 20 }
+        ]
+    },
+    {
+        id: 'quick-hiit',
+        name: 'Quick HIIT',
+        blocks: [
+            { exercise: 'jumping-jacks', duration: 40 },
+            { rest: 20 },
+            { exercise: 'squats', duration: 40 },
+            { rest: 20 },
+            { exercise: 'pushups', duration: 40 },
+            { rest: 20 },
+            { exercise: 'plank', duration: 30 }
+        ]
+    }
+];
+
+class WorkoutProgram {
+    constructor(definition, registry = ProgramExercises) {
+        this.id = definition.id || 'custom';
+        this.name = definition.name || 'Custom program';
+        this.blocks = WorkoutProgram.expand(definition.blocks || [], registry);
+        if (!this.blocks.some(block => block.type === 'exercise')) {
+            throw new Error('A program needs at least one exercise block');
+        }
+    }
+
+    static preset(id) {
+        const preset = PROGRAM_PRESETS.find(candidate => candidate.id === id);
+        if (!preset) {
+            throw new Error(`Unknown program: ${id}`);
+        }
+        return new WorkoutProgram(preset);
+    }
+
+    // Checks every block and unrolls sets into individual blocks
+    static expand(blocks, registry) {
+        const expanded = [];
+
+        blocks.forEach(block => {
+            if (!block.exercise) {
+                if (!(block.rest > 0)) {
+                    throw new Error('Rest blocks need a duration in seconds');
+                }
+                expanded.push({ type: 'rest', duration: block.rest, label: `Rest ${block.rest}s` });
+                return;
+            }
+
+            const definition = registry.get(block.exercise);
+            if (!definition) {
+                throw new Error(`Unknown exercise: ${block.exercise}`);
+            }
+            if (!(block.reps > 0) && !(block.duration > 0)) {
+                throw new Error(`${definition.name} needs a number of reps or a duration`);
+            }
+            if (block.reps > 0 && definition.mode === 'hold') {
+                throw new Error(`${definition.name} is a hold - give it a duration instead of reps`);
+            }
+
+            const sets = block.sets || 1;
+            const target = block.reps > 0 ? `${block.reps} reps` : `${block.duration}s`;
+            for (let set = 1; set <= sets; set++) {
+                expanded.push({
+                    type: 'exercise',
+                    exercise: block.exercise,
+                    reps: block.reps > 0 ? block.reps : 0,
+                    duration: block.reps > 0 ? 0 : block.duration,
+                    set,
+                    sets,
+                    label: sets > 1 ? `${definition.name} ${target} (set ${set}/${sets})` : `${definition.name} ${target}`
+                });
+                if (set < sets && block.rest > 0) {
+                    expanded.push({ type: 'rest', duration: block.rest, label: `Rest ${block.rest}s` });
+                }
+            }
+        });
+
+        return expanded.map((block, index) => ({ ...block, index }));
+    }
+
+    // Comma-separated blocks: "3x12 push-ups", "45s plank", "2x30s jumping jacks", "60s rest".
+    // Sets written as NxM get no rest between them; add rest blocks where wanted.
+    static parse(text, registry = ProgramExercises) {
+        const blocks = text.split(',').map(part => part.trim().toLowerCase()).filter(Boolean).map(part => {
+            const rest = part.match(/^(\d+)\s*s(?:ec(?:onds?)?)?\s+rest$/) || part.match(/^rest\s+(\d+)\s*s(?:ec(?:onds?)?)?$/);
+            if (rest) {
+                return { rest: parseInt(rest[1]) };
+            }
+
+            const exercise = part.match(/^(?:(\d+)\s*[x×]\s*)?(\d+)\s*(s|sec|secs|seconds)?\s+(.+)$/);
+            if (!exercise) {
+                throw new Error(`Can't read "${part}" - try "3x12 push-ups" or "60s rest"`);
+            }
+
+            const [, sets, amount, seconds, name] = exercise;
+            const definition = WorkoutProgram.findExercise(name, registry);
+            if (!definition) {
+                throw new Error(`Unknown exercise: ${name}`);
+            }
+
+            return {
+                exercise: definition.id,
+                sets: sets ? parseInt(sets) : 1,
+                [seconds ? 'duration' : 'reps']: parseInt(amount)
+            };
+        });
+
+        return new WorkoutProgram({ name: text.trim(), blocks }, registry);
+    }
+
+    // Matches ids and names loosely: "push-ups", "Pushup" and "push ups" all find pushups
+    static findExercise(name, registry) {
+        const normalize = value => value.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/s$/, '');
+        const wanted = normalize(name);
+        return registry.list().find(definition =>
+            normalize(definition.id) === wanted || normalize(definition.name) === wanted) || null;
+    }
+}
+
+// Tracks progress through a program against the session clock (seconds) and
+// the exercise engine of whoever the block is judged on
+class ProgramRunner {
+    constructor(program) {
+        this.program = program;
+        this.index = 0;
+        this.blockStart = 0;
+    }
+
+    get current() {
+        return this.program.blocks[this.index] || null;
+    }
+
+    get next() {
+        return this.program.blocks[this.index + 1] || null;
+    }
+
+    get finished() {
+        return this.index >= this.program.blocks.length;
+    }
+
+    start(seconds) {
+        this.index = 0;
+        this.blockStart = seconds;
+    }
+
+    advance(seconds) {
+        this.index++;
+        this.blockStart = seconds;
+        return this.current;
+    }
+
+    elapsed(seconds) {
+        return seconds - this.blockStart;
+    }
+
+    // Seconds left in a timed block (rest, timed exercise or hold), null for rep blocks
+    remaining(engine, seconds) {
+        const block = this.current;
+        if (!block || block.reps > 0) return null;
+        if (block.type === 'exercise' && engine.definition.mode === 'hold') {
+            return Math.max(0, block.duration - engine.hold.total);
+        }
+        return Math.max(0, block.duration - this.elapsed(seconds));
+    }
+
+    isBlockDone(engine, seconds) {
+        const block = this.current;
+        if (!block) return false;
+        if (block.reps > 0) return engine.reps >= block.reps;
+        return this.remaining(engine, seconds) <= 0;
+    }
+}
+
+// Export for browser and Node usage
+if (typeof window !== 'undefined') {
+    window.PROGRAM_PRESETS = PROGRAM_PRESETS;
+    window.WorkoutProgram = WorkoutProgram;
+    window.ProgramRunner = ProgramRunner;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROGRAM_PRESETS,
+        WorkoutProgram,
+        ProgramRunner
+    };
+}
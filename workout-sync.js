@@ -0,0 +1,153 @@
+// Offline-safe workout saving for PoseAI
+//
+// Workouts that cannot reach the API are kept in IndexedDB and retried when
+// the browser comes back online, on an interval, and after login. Every
+// workout carries an idempotencyKey so the server can ignore repeats of a
+// request that already succeeded. A workout the server keeps failing on is
+// dropped after maxServerErrors attempts, and never holds back the rest.
+// Queued workouts belong to the user who recorded them and are only sent while
+// that user is logged in; without a session nothing is queued.
+class WorkoutSyncQueue {
+    constructor(sendWorkout, options = {}) {
+        this.sendWorkout = sendWorkout;
+        this.currentUserId = options.currentUserId || (() => null); // id of the logged-in user, or null
+        this.retryInterval = options.retryInterval || 60 * 1000;
+        this.maxServerErrors = options.maxServerErrors || 5;
+        this.dbName = 'poseai';
+        this.storeName = 'pendingWorkouts';
+        this.db = null;
+        this.flushing = false;
+        this.retryTimer = null;
+    }
+
+    static generateKey() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return 'WK' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase();
+    }
+
+    // Network failures, server errors, rate limiting and missing auth are worth retrying;
+    // anything else (e.g. validation) would fail the same way again
+    static isRetryable(error) {
+        return !error.status || error.status >= 500 || [401, 403, 408, 429].includes(error.status);
+    }
+
+    start() {
+        if (!('indexedDB' in window)) {
+            console.warn('IndexedDB unavailable - offline workout queue disabled');
+            return;
+        }
+
+        window.addEventListener('online', () => this.flush());
+        this.retryTimer = setInterval(() => this.flush(), this.retryInterval);
+        this.flush();
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'idempotencyKey' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // userId: who recorded the workout; serverErrors: 5xx responses it has had so far
+    enqueue(workout, userId, serverErrors = 0, queuedAt = Date.now()) {
+        return this.transaction('readwrite', store => store.put({ ...workout, userId, queuedAt, serverErrors }));
+    }
+
+    remove(idempotencyKey) {
+        return this.transaction('readwrite', store => store.delete(idempotencyKey));
+    }
+
+    pending() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    // Try to send now; park the workout in the queue if the API can't take it yet.
+    // Resolves true when saved, false when queued or when nobody is logged in to save it for.
+    async submit(workout) {
+        const userId = this.currentUserId();
+        if (!userId) {
+            return false;
+        }
+
+        try {
+            await this.sendWorkout(workout);
+            return true;
+        } catch (error) {
+            if (!WorkoutSyncQueue.isRetryable(error)) {
+                throw error;
+            }
+            await this.enqueue(workout, userId, error.status >= 500 ? 1 : 0);
+            return false;
+        }
+    }
+
+    async flush() {
+        if (this.flushing || !this.currentUserId() || !navigator.onLine) return;
+        this.flushing = true;
+
+        try {
+            const workouts = await this.pending();
+
+            // Each workout gets its own try, so one that keeps failing can't block the others
+            for (const { userId, queuedAt, serverErrors = 0, ...workout } of workouts) {
+                if (!userId) {
+                    // Queued before workouts were tied to a user; there's no telling whose it is
+                    console.warn('Dropping queued workout with no owner');
+                    await this.remove(workout.idempotencyKey);
+                    continue;
+                }
+                // Someone else's workout waits for them to log in again; checked per workout
+                // in case the session changes part way through
+                if (userId !== this.currentUserId()) continue;
+
+                try {
+                    await this.sendWorkout(workout);
+                    await this.remove(workout.idempotencyKey);
+                } catch (error) {
+                    if (!WorkoutSyncQueue.isRetryable(error)) {
+                        console.error('Dropping workout the server rejected:', error);
+                        await this.remove(workout.idempotencyKey);
+                    } else if (error.status >= 500 && serverErrors + 1 >= this.maxServerErrors) {
+                        // The server answers but never accepts it, so it isn't going to
+                        console.error(`Dropping workout after ${serverErrors + 1} server errors:`, error);
+                        await this.remove(workout.idempotencyKey);
+                    } else if (error.status >= 500) {
+                        await this.enqueue(workout, userId, serverErrors + 1, queuedAt);
+                    }
+                    // Network failures, auth and rate limiting don't count against the workout
+                }
+            }
+        } catch (error) {
+            console.error('Workout sync error:', error);
+        } finally {
+            this.flushing = false;
+        }
+    }
+}
+
+// Export for global access
+window.WorkoutSyncQueue = WorkoutSyncQueue;